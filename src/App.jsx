@@ -1,144 +1,1117 @@
-import React, { useState, useRef, useEffect, useCallback } from "react";
-import * as XLSX from "xlsx";
-import * as d3 from "d3";
+import React, { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import { loadImage, readFileAsArrayBuffer, readFileAsText } from "./lib/files";
+import {
+  LENGTH_UNITS,
+  lengthUnitFor,
+  pixelsPerMetre,
+  tracedArea,
+  transformCalibration,
+} from "./lib/calibration";
+import {
+  departmentAt,
+  distance,
+  edgeMidpoints,
+  nearestVertex,
+  pointInPolygon,
+  polygonArea,
+  scaleTransform,
+  solveTransform,
+  transformDepartments,
+  translatePoints,
+} from "./lib/geometry";
+import {
+  DEFAULT_VIEW,
+  PROJECT_FILE_EXTENSION,
+  downloadProjectFile,
+  parseProjectFile,
+  serializeProject,
+} from "./lib/projectFile";
+import {
+  createProjectId,
+  getActiveProjectId,
+  loadStoredProject,
+  saveStoredProject,
+  setActiveProjectId as storeActiveProjectId,
+} from "./lib/projectStore";
+import {
+  SUPPORTED_FILE_ACCEPT,
+  extractSalesData,
+  findSavedMappingInWorkbook,
+  readPastedTable,
+  readSalesFile,
+} from "./lib/salesImport";
+import {
+  METRIC_FORMATS,
+  SALES_METRIC,
+  buildMetricDefinitions,
+  formatMetricValue,
+  listMetrics,
+  metricValue,
+  metricValues,
+  rankValues,
+  shareOfTotal,
+} from "./lib/metrics";
+import {
+  AREA_UNITS,
+  NORMALIZATIONS,
+  effectiveSpace,
+  formatNormalizedValue,
+  fromSquareMetres,
+  hasSpaceFor,
+  normalizeValues,
+  toSquareMetres,
+} from "./lib/normalization";
+import {
+  CHANGE_TYPES,
+  compareValues,
+  comparisonBaselines,
+  defaultBaseline,
+  formatChange,
+  parseBaseline,
+} from "./lib/comparison";
+import { planCoverage } from "./lib/importReport";
+import {
+  CLASS_COUNTS,
+  CLIP_PERCENTS,
+  SCALE_TYPES,
+  buildClassifier,
+  isClassed,
+} from "./lib/classification";
+import {
+  DIVERGING_PALETTES,
+  PALETTES,
+  groupPalettes,
+  paletteScale,
+} from "./lib/palettes";
+import {
+  HEATMAP_STYLES,
+  createHeatmapLayer,
+  fitCanvas,
+  renderBaseLayer,
+  renderHeatmapLayer,
+} from "./lib/renderLayers";
+import {
+  DRAWING_TOOLS,
+  ellipsePoints,
+  isShapeTool,
+  rectanglePoints,
+  simplifyPath,
+  snapPoint,
+} from "./lib/drawingTools";
+import { checkLayout, clipOutline, describeIssue } from "./lib/layoutChecks";
+import {
+  DEFAULT_WAND_TOLERANCE,
+  MAX_WAND_TOLERANCE,
+  WAND_MODES,
+  floodFill,
+  mergeRegion,
+  readImagePixels,
+  traceRegion,
+} from "./lib/magicWand";
+import { applyAliases, suggestMatches } from "./lib/nameMatching";
+import { extractSvgShapes, isSvgFile, linkShapes } from "./lib/svgPlan";
+import { isPdfFile, openPdf } from "./lib/pdfPlan";
+import { isDxfFile, parseDxf } from "./lib/dxfPlan";
+import {
+  createPeriodId,
+  mergePeriods,
+  periodDepartmentNames,
+  periodLabelFromFileName,
+} from "./lib/periods";
+import ProjectPicker from "./components/ProjectPicker";
+import ImportWizard from "./components/ImportWizard";
+import ImportReport from "./components/ImportReport";
+import ReconcileNames from "./components/ReconcileNames";
+import ColorLegend from "./components/ColorLegend";
+import DepartmentPanel from "./components/DepartmentPanel";
+import DepartmentTooltip from "./components/DepartmentTooltip";
+import SnapControls from "./components/SnapControls";
+import ShapeImport from "./components/ShapeImport";
+import PdfImport from "./components/PdfImport";
+import DxfImport from "./components/DxfImport";
+import useHistory from "./hooks/useHistory";
+
+const AUTOSAVE_DELAY_MS = 800;
+const PLAY_INTERVAL_MS = 1200; // Time each period is shown while playing
+const NO_METRIC_DATA = {};
+const CLICK_TOLERANCE = 4; // Pointer travel (px) still counted as a click rather than a pan
+const HANDLE_RADIUS = 4; // Vertex handles on screen, in px at any zoom
+const HANDLE_HIT_RADIUS = 8; // How close (px) the pointer must be to grab a handle
+const SNAP_RADIUS = 10; // How close (px) a point must be to snap to a vertex or edge
+const LASSO_TOLERANCE = 3; // How far (px) a freehand path may stray from its simplified outline
+const MIN_AREA_CHANGE = 1; // px²; an outline change smaller than this changes nothing
+
+// Keyboard shortcuts are ignored while typing in a form field
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) &&
+  target.type !== "range" &&
+  target.type !== "checkbox";
 
 const PharmIQHeatMap = () => {
+  // State for the project itself
+  const [projectName, setProjectName] = useState("");
+  const [activeProjectId, setActiveProjectId] = useState(null); // IndexedDB id of the open project
+  const [saveStatus, setSaveStatus] = useState("idle"); // 'idle', 'saving', 'saved', 'error'
+
   // State for image and data
   const [floorPlanImage, setFloorPlanImage] = useState(null); // { src, width, height }
-  const [salesData, setSalesData] = useState(null); // { deptName: salesValue, ... }
-  const [departments, setDepartments] = useState([]); // { id, name, coords: [{x, y}], sales }
+  const [periods, setPeriods] = useState([]); // Sales periods: [{ id, label, salesData, metricData }]
+  const [activePeriod, setActivePeriod] = useState(0); // Index of the period on show
+  const [departments, setDepartments] = useState([]); // { id, name, coords: [{x, y}], area?, bayCount? }
   const [availableDepts, setAvailableDepts] = useState([]); // List of departments from Excel
+  const [metrics, setMetrics] = useState([]); // Extra imported metrics: [{ name, format }]
+  const [spaceData, setSpaceData] = useState({}); // Imported floor space: { deptName: { area, bayCount } }
+  const [aliases, setAliases] = useState({}); // Spreadsheet name -> plan name (see lib/nameMatching)
+  const [importSource, setImportSource] = useState(null); // { fileName, workbook } shown in the import wizard
+  const [lastImportSource, setLastImportSource] = useState(null); // Last source read, for re-mapping
+  const [importReport, setImportReport] = useState(null); // { fileName, issues } from the last import
+  const [showImportReport, setShowImportReport] = useState(false);
+  const [reconcile, setReconcile] = useState(null); // { suggestions, thenShowReport } while matching names
+  const [shapeImport, setShapeImport] = useState(null); // { fileName, shapes } bay outlines read from an SVG or DXF plan
+  const [planImport, setPlanImport] = useState(null); // { type: 'pdf' | 'dxf', fileName, pdf | drawing } while picking how to render a plan
+  const [importMode, setImportMode] = useState("add"); // 'add' periods or 'replace' all sales data
+  const [showPasteBox, setShowPasteBox] = useState(false);
+  const [pastedText, setPastedText] = useState("");
 
   // State for UI and interaction modes
   const [selectedDepartment, setSelectedDepartment] = useState(null); // Index of the department being edited/drawn
-  const [mode, setMode] = useState("view"); // 'view', 'draw'
+  const [mode, setMode] = useState("view"); // 'view', 'draw', 'edit', 'align', 'calibrate'
+  const [selectedVertex, setSelectedVertex] = useState(null); // Index of the picked vertex in edit mode
+  const [drawingTool, setDrawingTool] = useState("points"); // See DRAWING_TOOLS
+  const [snap, setSnap] = useState(DEFAULT_VIEW.snap); // { grid, vertices, edges } for drawing and editing
+  const [shapeDraft, setShapeDraft] = useState(null); // { tool, start, end, path } while dragging out a shape
+  const [snapTarget, setSnapTarget] = useState(null); // { point, target } under the pointer while drawing
+  const [wandMode, setWandMode] = useState("replace"); // See WAND_MODES
+  const [wandTolerance, setWandTolerance] = useState(DEFAULT_WAND_TOLERANCE);
   const [heatmapVisible, setHeatmapVisible] = useState(true);
   const [showDeptSelector, setShowDeptSelector] = useState(false);
   const [newDeptName, setNewDeptName] = useState("");
+  // Realignment after replacing the floor plan:
+  // { previousImage, pairs: [{ from, to }], pendingFrom, showPrevious }
+  const [realign, setRealign] = useState(null);
+  // Floor plan scale: { from, to, metres } (see lib/calibration)
+  const [calibration, setCalibration] = useState(null);
+  // Calibration in progress: { points: [{ x, y }], distance: "" }
+  const [calibrating, setCalibrating] = useState(null);
 
   // State for heatmap rendering
-  const [maxSales, setMaxSales] = useState(0);
-  const [blurRadius, setBlurRadius] = useState(50); // Blur radius for heatmap
-  const [heatmapOpacity, setHeatmapOpacity] = useState(0.85); // Opacity for heatmap
-
-  const [colorScale, setColorScale] = useState(() =>
-    d3.scaleLinear()
-      .domain([0, 0.5, 1])
-      .range(["#F8FAFC", "#0F766E", "#D97706"])
+  const [activeMetric, setActiveMetric] = useState(SALES_METRIC); // Metric driving heatmap, labels and legend
+  const [normalization, setNormalization] = useState(DEFAULT_VIEW.normalization); // 'raw', 'perM2', 'perFt2', 'perBay'
+  const [areaUnit, setAreaUnit] = useState(DEFAULT_VIEW.areaUnit); // Unit areas are entered in: 'm2' or 'ft2'
+  const [heatmapStyle, setHeatmapStyle] = useState(DEFAULT_VIEW.heatmapStyle); // 'glow', 'choropleth', 'dots'
+  const [palette, setPalette] = useState(DEFAULT_VIEW.palette); // Key in PALETTES
+  const [divergingPalette, setDivergingPalette] = useState(DEFAULT_VIEW.divergingPalette); // Key in DIVERGING_PALETTES, for comparisons
+  const [scaleType, setScaleType] = useState(DEFAULT_VIEW.scaleType); // Key in SCALE_TYPES
+  const [classCount, setClassCount] = useState(DEFAULT_VIEW.classCount); // Classes for classed scales
+  const [clipPercent, setClipPercent] = useState(DEFAULT_VIEW.clipPercent); // Outlier percentile clipped from each end
+  const [gamma, setGamma] = useState(DEFAULT_VIEW.gamma); // Intensity curve exponent
+  const [minIntensity, setMinIntensity] = useState(DEFAULT_VIEW.minIntensity); // Intensity floor (0-1)
+  const [blurRadius, setBlurRadius] = useState(DEFAULT_VIEW.blurRadius); // Blur radius for heatmap
+  const [heatmapOpacity, setHeatmapOpacity] = useState(
+    DEFAULT_VIEW.heatmapOpacity,
+  ); // Opacity for heatmap
+  const [fixedDomain, setFixedDomain] = useState(DEFAULT_VIEW.fixedDomain); // One colour scale for all periods
+  const [isPlaying, setIsPlaying] = useState(false); // Animating through the periods
+  const [comparison, setComparison] = useState(DEFAULT_VIEW.comparison); // { baseline, change } or null
+  const [deptSort, setDeptSort] = useState("plan"); // Department list order: 'plan', 'high', 'low', 'name'
+
+  // The period on show supplies the sales and metrics everything else reads
+  const currentPeriod = periods[Math.min(activePeriod, periods.length - 1)] || null;
+  const salesData = currentPeriod ? currentPeriod.salesData : null; // { deptName: salesValue, ... }
+  const metricData = currentPeriod ? currentPeriod.metricData : NO_METRIC_DATA; // { deptName: { metricName: value } }
+  const periodLabel = periods.length > 1 ? currentPeriod.label : null;
+
+  // Values of the active metric for every department in the data,
+  // divided by floor space when a normalisation is selected
+  const availableMetrics = useMemo(() => listMetrics(metrics), [metrics]);
+  const activeMetricDefinition =
+    availableMetrics.find((metric) => metric.key === activeMetric) ||
+    availableMetrics[0];
+  const coverage = useMemo(
+    () => planCoverage(salesData, departments),
+    [salesData, departments],
+  );
+  const deptSpace = useMemo(
+    () => effectiveSpace(departments, spaceData, calibration),
+    [departments, spaceData, calibration],
+  );
+  // Crossed outlines, overlaps and slivers (see lib/layoutChecks)
+  const layoutCheck = useMemo(() => checkLayout(departments), [departments]);
+  const comparisonOptions = useMemo(
+    () => comparisonBaselines(periods, currentPeriod?.id, metrics, activeMetric),
+    [periods, currentPeriod, metrics, activeMetric],
+  );
+  // Comparison is off while its baseline is missing (e.g. the baseline
+  // period is the one on show, or was removed)
+  const activeComparison =
+    comparison && comparisonOptions.some((option) => option.key === comparison.baseline)
+      ? comparison
+      : null;
+  // Values shown for one period: the active metric, or its change against
+  // the comparison baseline
+  const comparisonLabel = activeComparison
+    ? comparisonOptions.find((option) => option.key === activeComparison.baseline).label
+    : null;
+  const canvasCaption =
+    [periodLabel, comparisonLabel && `vs ${comparisonLabel}`].filter(Boolean).join(" ") ||
+    null;
+  const valuesForPeriod = useCallback(
+    (period) => {
+      const valuesOf = (metric, source) =>
+        normalizeValues(
+          metricValues(metric, source.salesData, source.metricData),
+          normalization,
+          deptSpace,
+        );
+      const values = valuesOf(activeMetric, period);
+      if (!activeComparison) return values;
+      const { type, id } = parseBaseline(activeComparison.baseline);
+      const baselinePeriod = periods.find((p) => p.id === id);
+      const baseline =
+        type === "period"
+          ? baselinePeriod
+            ? valuesOf(activeMetric, baselinePeriod)
+            : {}
+          : valuesOf(id, period);
+      return compareValues(values, baseline, activeComparison.change);
+    },
+    [activeMetric, normalization, deptSpace, activeComparison, periods],
+  );
+  const deptValues = useMemo(
+    () => (currentPeriod ? valuesForPeriod(currentPeriod) : {}),
+    [currentPeriod, valuesForPeriod],
+  );
+  // How values map onto the palette (see lib/classification). With a fixed
+  // domain it covers every period, so the same colour means the same value
+  // as the timeline plays. Changes are classified by their size either side
+  // of zero. Null when there is nothing to colour.
+  const classifier = useMemo(() => {
+    const periodValues =
+      fixedDomain && periods.length > 1 ? periods.map(valuesForPeriod) : [deptValues];
+    const values = periodValues.flatMap((entry) => Object.values(entry));
+    return buildClassifier(activeComparison ? values.map(Math.abs) : values, {
+      type: scaleType,
+      classCount,
+      clip: clipPercent,
+    });
+  }, [
+    fixedDomain,
+    periods,
+    valuesForPeriod,
+    deptValues,
+    activeComparison,
+    scaleType,
+    classCount,
+    clipPercent,
+  ]);
+  // Each department's place on the palette: 0-1, or -1 to 1 for changes
+  const deptPositions = useMemo(() => {
+    if (!classifier) return {};
+    return Object.fromEntries(
+      Object.entries(deptValues).map(([name, value]) => [
+        name,
+        activeComparison
+          ? Math.sign(value) * classifier.position(Math.abs(value))
+          : classifier.position(value),
+      ]),
+    );
+  }, [classifier, deptValues, activeComparison]);
+  const lengthUnit = lengthUnitFor(areaUnit); // For calibration distances
+  const formatArea = (squareMetres) =>
+    `${fromSquareMetres(squareMetres, areaUnit).toLocaleString(undefined, {
+      maximumFractionDigits: 1,
+    })} ${AREA_UNITS[areaUnit].label}`;
+  const departmentsWithoutSpace = departments.filter(
+    (dept) => !hasSpaceFor(normalization, deptSpace[dept.name]),
+  ).length;
+  const activeFormat = activeMetricDefinition.format;
+  const formatValue = useCallback(
+    (value) =>
+      activeComparison
+        ? formatChange(value, activeComparison.change, activeFormat, normalization)
+        : formatNormalizedValue(value, activeFormat, normalization),
+    [activeComparison, activeFormat, normalization],
+  );
+
+  // The value at a place on the palette, for contour labels
+  const formatPosition = useCallback(
+    (position) =>
+      formatValue(Math.sign(position) * classifier.valueAt(Math.abs(position))),
+    [formatValue, classifier],
+  );
+
+  // Colour scale in use; the heatmap and legend are both drawn from it
+  const activeScale = useMemo(
+    () =>
+      paletteScale(
+        activeComparison ? DIVERGING_PALETTES[divergingPalette] : PALETTES[palette],
+      ),
+    [activeComparison, divergingPalette, palette],
   );
 
+  // Department list order. Indexes are kept so editing still targets the
+  // right department.
+  const listedDepartments = useMemo(() => {
+    const listed = departments.map((dept, index) => ({ dept, index }));
+    if (deptSort === "name") {
+      return listed.sort((a, b) => a.dept.name.localeCompare(b.dept.name));
+    }
+    if (deptSort === "high" || deptSort === "low") {
+      const direction = deptSort === "high" ? -1 : 1;
+      // Departments without a value go last either way
+      const valueOf = (entry) => deptValues[entry.dept.name];
+      return listed.sort((a, b) => {
+        if (valueOf(a) === undefined) return valueOf(b) === undefined ? 0 : 1;
+        if (valueOf(b) === undefined) return -1;
+        return direction * (valueOf(a) - valueOf(b));
+      });
+    }
+    return listed;
+  }, [departments, deptSort, deptValues]);
+
+  // Rank of the figures on show, and each department's share of the
+  // metric's total (before normalisation; percentages have no total)
+  const deptRanks = useMemo(() => rankValues(deptValues), [deptValues]);
+  const deptShares = useMemo(
+    () =>
+      activeFormat === "percent"
+        ? null
+        : shareOfTotal(metricValues(activeMetric, salesData, metricData)),
+    [activeFormat, activeMetric, salesData, metricData],
+  );
+  const activeValueName = `${activeMetricDefinition.name}${
+    comparisonLabel ? ` vs ${comparisonLabel}` : ""
+  }`;
+  // Headline figures for one department, for its tooltip and detail panel
+  const departmentSummary = (dept) => {
+    const area = deptSpace[dept.name]?.area;
+    const share = deptShares?.[dept.name];
+    return {
+      name: dept.name,
+      value: formatValue(deptValues[dept.name]),
+      rank: deptRanks[dept.name] ?? null,
+      rankOf: Object.keys(deptRanks).length,
+      share: share === undefined ? null : formatMetricValue(share * 100, "percent"),
+      area: area ? formatArea(area) : null,
+    };
+  };
+
   // State for canvas panning and zooming
   const [zoom, setZoom] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 }); // For panning calculation
+  const dragDistanceRef = useRef(0); // Pointer travel since mouse down, to tell clicks from pans
+  const editDragRef = useRef(null); // { type, vertex, start, last, recorded } while dragging a handle
+  const planPixelsRef = useRef(null); // { image, pixels } of the floor plan, read once for the magic wand
+  const [editCursor, setEditCursor] = useState("default"); // Shows what a drag would do in edit mode
+
+  // Department under the pointer in view mode ({ id, x, y } in viewport
+  // coordinates) and the one whose detail panel is open
+  const [hover, setHover] = useState(null);
+  const [detailDeptId, setDetailDeptId] = useState(null);
+  const hoveredDepartment = hover && departments.find((dept) => dept.id === hover.id);
+  const detailDepartment = departments.find((dept) => dept.id === detailDeptId) || null;
 
   // Refs
   const canvasRef = useRef(null);
   const containerRef = useRef(null); // Ref for the canvas container to get bounds
-  const heatmapCanvasRef = useRef(document.createElement("canvas")); // Off-screen canvas for heatmap
+  const baseLayerRef = useRef(null); // Cached floor plan layer (canvas), created on first use
+  const heatmapLayerRef = useRef(null); // Cached heatmap layer, created on first use
+  const baseReadyRef = useRef(false); // False until the base layer has been painted
+  const heatmapReadyRef = useRef(false); // False while there is no heatmap to show
+  const renderFrameRef = useRef(null); // Pending requestAnimationFrame id
+  const drawFrameRef = useRef(null); // Latest frame painter
+  const autosaveTimerRef = useRef(null); // Pending debounced autosave
+  const autosaveReadyRef = useRef(false); // False until the last project has been restored
+  const skipAutosaveRef = useRef(false); // Set when state changes come from loading, not editing
+  const saveNowRef = useRef(null); // Latest "save immediately" function for flushing
+  const loadProjectRef = useRef(null); // Latest loadProject, for restoring on mount
+
+  // --- Undo / Redo ---
+
+  // Layout and heatmap settings are undoable. Imported data is not part of
+  // the history, so undo never brings back an old spreadsheet.
+  const history = useHistory({
+    capture: () => ({
+      departments,
+      heatmapStyle,
+      palette,
+      divergingPalette,
+      scaleType,
+      classCount,
+      clipPercent,
+      gamma,
+      minIntensity,
+      blurRadius,
+      heatmapOpacity,
+      heatmapVisible,
+      activeMetric,
+      // Only the formats: the metrics themselves come from imported data
+      metricFormats: Object.fromEntries(metrics.map((metric) => [metric.name, metric.format])),
+      normalization,
+      calibration,
+      comparison,
+    }),
+    restore: (snapshot) => {
+      setDepartments(snapshot.departments);
+      setHeatmapStyle(snapshot.heatmapStyle);
+      setPalette(snapshot.palette);
+      setDivergingPalette(snapshot.divergingPalette);
+      setScaleType(snapshot.scaleType);
+      setClassCount(snapshot.classCount);
+      setClipPercent(snapshot.clipPercent);
+      setGamma(snapshot.gamma);
+      setMinIntensity(snapshot.minIntensity);
+      setBlurRadius(snapshot.blurRadius);
+      setHeatmapOpacity(snapshot.heatmapOpacity);
+      setHeatmapVisible(snapshot.heatmapVisible);
+      setActiveMetric(snapshot.activeMetric);
+      setMetrics((prev) =>
+        prev.map((metric) =>
+          snapshot.metricFormats[metric.name]
+            ? { ...metric, format: snapshot.metricFormats[metric.name] }
+            : metric,
+        ),
+      );
+      setNormalization(snapshot.normalization);
+      setCalibration(snapshot.calibration);
+      setComparison(snapshot.comparison);
+
+      // Leave draw/edit mode if the department being worked on is gone
+      setSelectedVertex(null);
+      if (
+        selectedDepartment !== null &&
+        !snapshot.departments[selectedDepartment]
+      ) {
+        setSelectedDepartment(null);
+        setMode("view");
+      }
+    },
+  });
+  const { record: recordHistory, undo, redo, clear: clearHistory } = history;
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y, outside text fields
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
 
   // --- File Handling ---
 
-  // Handle floor plan image upload
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const img = new Image();
-        img.onload = () => {
-          setFloorPlanImage(img);
-          // Reset view when new image is loaded
-          setZoom(1);
-          setPan({ x: 0, y: 0 });
-          setDepartments([]); // Clear departments for new floor plan
-          setSalesData(null); // Clear sales data
-          setAvailableDepts([]);
-          setMaxSales(0);
-          setSelectedDepartment(null);
-          setMode("view");
-        };
-        img.onerror = () => {
-          alert(
-            "Failed to load the image. Please ensure it's a valid PNG or JPG file.",
-          );
-        };
-        img.src = event.target.result;
-      };
-      reader.onerror = () => {
-        alert("Failed to read the file. Please try again.");
-      };
-      reader.readAsDataURL(file);
+  // Show a new floor plan image (an Image that has loaded)
+  const showFloorPlan = (img) => {
+    const previousImage = floorPlanImage;
+    setFloorPlanImage(img);
+    // Reset view when new image is loaded
+    setZoom(1);
+    setPan({ x: 0, y: 0 });
+    setSelectedDepartment(null);
+    setShowDeptSelector(false);
+
+    // Replacing a plan keeps the traced layout and sales data. If the
+    // new image has a different size, offer to realign the polygons.
+    const tracedDepartments = departments.some(
+      (dept) => dept.coords.length > 0,
+    );
+    if (
+      previousImage &&
+      tracedDepartments &&
+      (previousImage.width !== img.width ||
+        previousImage.height !== img.height)
+    ) {
+      setRealign({
+        previousImage,
+        pairs: [],
+        pendingFrom: null,
+        showPrevious: true,
+      });
+      setMode("align");
+    } else {
+      // With no layout to realign, stretch the scale to the new size
+      if (
+        previousImage &&
+        (previousImage.width !== img.width ||
+          previousImage.height !== img.height)
+      ) {
+        setCalibration((prev) =>
+          transformCalibration(
+            prev,
+            scaleTransform(
+              previousImage.width,
+              previousImage.height,
+              img.width,
+              img.height,
+            ),
+          ),
+        );
+      }
+      setRealign(null);
+      setCalibrating(null);
+      setMode("view");
     }
   };
 
-  // Handle Excel data upload
-  // In your handleExcelUpload function, ensure this part is working:
-  const handleExcelUpload = (e) => {
+  // Offer shapes read from a new plan as departments. They are already in
+  // the new image's pixels, so the modal waits until any realignment of the
+  // old layout has finished: realigning moves every department, and must
+  // not move these a second time.
+  const offerPlanShapes = (fileName, shapes) =>
+    setShapeImport({
+      fileName,
+      shapes: linkShapes(shapes, periodDepartmentNames(periods)),
+    });
+
+  // Handle floor plan upload: an image, or a PDF or DXF drawing that is
+  // rendered to one once its page or size has been picked
+  const handleImageUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        try {
-          const data = new Uint8Array(event.target.result);
-          const workbook = XLSX.read(data, { type: "array" });
-          const firstSheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[firstSheetName];
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: "A" });
-
-          const deptSales = {};
-          let maxSalesValue = 0; // Important variable!
-          const deptList = [];
-
-          // Skip header row (assuming it's the first row)
-          jsonData.slice(1).forEach((row) => {
-            const deptName = row.A; // Department name in column A
-            // Ensure sales value is treated as a number, default to 0 if not
-            const salesValue =
-              typeof row.C === "number"
-                ? row.C
-                : parseFloat(String(row.C).replace(/[^0-9.-]+/g, "")) || 0; // TY sales in column C
-
-            if (deptName) {
-              // Allow departments with 0 sales
-              deptSales[deptName] = salesValue;
-              deptList.push(deptName);
-
-              if (salesValue > maxSalesValue) {
-                maxSalesValue = salesValue;
+    e.target.value = ""; // Allow choosing the same file again, e.g. after cancelling
+    if (!file) return;
+
+    if (isPdfFile(file)) {
+      try {
+        const pdf = await openPdf(await readFileAsArrayBuffer(file));
+        setPlanImport({ type: "pdf", fileName: file.name, pdf });
+      } catch {
+        alert("Failed to open the PDF. It may be damaged or password protected.");
+      }
+      return;
+    }
+    if (isDxfFile(file)) {
+      try {
+        const drawing = parseDxf(await readFileAsText(file));
+        setPlanImport({ type: "dxf", fileName: file.name, drawing });
+      } catch (error) {
+        alert(`Failed to read the DXF file. ${error.message}`);
+      }
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const img = new Image();
+      img.onload = () => {
+        showFloorPlan(img);
+
+        // SVG plans may also carry each bay as a named shape; offer those
+        // as departments. A drawing whose shapes cannot be read is still
+        // kept as the backdrop.
+        if (isSvgFile(file)) {
+          readFileAsText(file)
+            .then((text) => {
+              const shapes = extractSvgShapes(text, img.width, img.height);
+              if (shapes.length > 0) {
+                offerPlanShapes(file.name, shapes);
               }
-            }
-          });
-
-          // Make sure maxSales state is actually getting updated
-          setMaxSales(maxSalesValue);
-          setSalesData(deptSales);
-          setAvailableDepts(deptList.sort()); // Sort for better UI
-
-          // Update existing departments with new sales data
-          setDepartments((prevDepts) => {
-            return prevDepts.map((dept) => ({
-              ...dept,
-              sales: deptSales[dept.name] || 0, // Use 0 if not found in new data
-            }));
-          });
-
-          setColorScale(() =>
-            d3.scaleLinear()
-              .domain([0, maxSalesValue / 2, maxSalesValue])
-              .range(["#F8FAFC", "#0F766E", "#D97706"])
-          );
-        } catch (error) {
-          alert(
-            "Error processing Excel file. Please check the format (Department in Col A, Sales in Col C).",
-          );
+            })
+            .catch((error) => {
+              alert(`Could not read the shapes in the SVG plan. ${error.message}`);
+            });
         }
       };
-      reader.readAsArrayBuffer(file);
+      img.onerror = () => {
+        alert(
+          "Failed to load the image. Please ensure it's a valid PNG, JPG or SVG file.",
+        );
+      };
+      img.src = event.target.result;
+    };
+    reader.onerror = () => {
+      alert("Failed to read the file. Please try again.");
+    };
+    reader.readAsDataURL(file);
+  };
+
+  // Close the PDF or DXF import, releasing pdf.js's copy of the document
+  const closePlanImport = () => {
+    planImport?.pdf?.destroy();
+    setPlanImport(null);
+  };
+
+  // Use a rendered PDF page or DXF drawing (a PNG data URL) as the floor
+  // plan. Outlines taken from a DXF layer are then offered as departments.
+  const applyPlanImport = async ({ dataUrl, shapes }) => {
+    try {
+      const img = await loadImage(dataUrl);
+      showFloorPlan(img);
+      // Offered once any realignment of the old layout is done
+      if (shapes.length > 0) offerPlanShapes(planImport.fileName, shapes);
+      closePlanImport();
+    } catch {
+      alert("Failed to render the plan. Try a lower resolution.");
     }
   };
 
+  // Suggest plan departments for spreadsheet names that match none
+  const findNameSuggestions = (importedNames) => {
+    const planNames = departments.map((dept) => dept.name);
+    const fileNames = importedNames.filter((name) => !planNames.includes(name));
+    const unmatchedPlanNames = planNames.filter(
+      (name) => !importedNames.includes(name),
+    );
+    return suggestMatches(fileNames, unmatchedPlanNames);
+  };
+
+  const renamePeriod = (period, table) => ({
+    ...period,
+    salesData: applyAliases(period.salesData, table),
+    metricData: applyAliases(period.metricData, table),
+  });
+
+  // Apply the result of a sales import (see extractSalesData). Each import
+  // is added to the timeline, or replaces all periods in 'replace' mode.
+  const applyImport = (result, fileName) => {
+    // Names the project already has aliases for are renamed straight away
+    const imported = result.periods.map((period) =>
+      renamePeriod(
+        {
+          ...period,
+          id: createPeriodId(),
+          label: period.label ?? periodLabelFromFileName(fileName),
+        },
+        aliases,
+      ),
+    );
+    const adding = importMode === "add" && periods.length > 0;
+    const nextPeriods = adding ? mergePeriods(periods, imported) : imported;
+    const metricNames = adding
+      ? [...new Set([...metrics.map((metric) => metric.name), ...result.metrics])]
+      : result.metrics;
+
+    setPeriods(nextPeriods);
+    setActivePeriod(
+      Math.max(0, nextPeriods.findIndex((period) => period.label === imported[0].label)),
+    );
+    setIsPlaying(false);
+    setMetrics(buildMetricDefinitions(metricNames, metrics));
+    // Floor space rarely changes between reports, so keep the previous
+    // figures when this import has no area or bay columns mapped
+    const importedSpace = applyAliases(result.spaceData, aliases);
+    if (Object.keys(importedSpace).length > 0) setSpaceData(importedSpace);
+    setImportReport({ fileName, issues: result.issues });
+    setAvailableDepts(periodDepartmentNames(nextPeriods)); // Sorted for better UI
+
+    // Confirm likely name matches before showing the report
+    const suggestions = findNameSuggestions(periodDepartmentNames(imported));
+    if (suggestions.some((suggestion) => suggestion.planName)) {
+      setReconcile({ suggestions, thenShowReport: true });
+    } else {
+      setShowImportReport(true);
+    }
+    // Fall back to sales if the metric being viewed is no longer loaded
+    if (activeMetric !== SALES_METRIC && !metricNames.includes(activeMetric)) {
+      setActiveMetric(SALES_METRIC);
+    }
+  };
+
+  // Save confirmed name matches and move the imported data onto them
+  const applyNameMatches = (newAliases) => {
+    setAliases((prev) => ({ ...prev, ...newAliases }));
+    const renamedPeriods = periods.map((period) => renamePeriod(period, newAliases));
+    setPeriods(renamedPeriods);
+    setSpaceData(applyAliases(spaceData, newAliases));
+    setAvailableDepts(periodDepartmentNames(renamedPeriods));
+    closeReconcile();
+  };
+
+  // --- Sales Periods ---
+
+  const renameActivePeriod = (label) =>
+    setPeriods((prev) =>
+      prev.map((period) => (period === currentPeriod ? { ...period, label } : period)),
+    );
+
+  const removeActivePeriod = () => {
+    if (!currentPeriod) return;
+    if (!window.confirm(`Remove the sales period "${currentPeriod.label}"?`)) return;
+    const remaining = periods.filter((period) => period !== currentPeriod);
+    setPeriods(remaining);
+    setActivePeriod((prev) => Math.max(0, Math.min(prev, remaining.length - 1)));
+    setAvailableDepts(periodDepartmentNames(remaining));
+  };
+
+  // Step through the periods while playing, looping at the end
+  useEffect(() => {
+    if (!isPlaying || periods.length < 2) return;
+    const timer = setInterval(
+      () => setActivePeriod((prev) => (prev + 1) % periods.length),
+      PLAY_INTERVAL_MS,
+    );
+    return () => clearInterval(timer);
+  }, [isPlaying, periods.length]);
+
+  const closeReconcile = () => {
+    if (reconcile?.thenShowReport) setShowImportReport(true);
+    setReconcile(null);
+  };
+
+  const removeAlias = (key) =>
+    setAliases((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+
+  // Every sales source ends up here. Reports with a remembered column
+  // mapping import straight away; anything else opens the import wizard.
+  const startImport = (fileName, workbook) => {
+    if (workbook.sheetNames.every((name) => workbook.sheets[name].length === 0)) {
+      alert("No data was found to import.");
+      return;
+    }
+    const source = { fileName, workbook };
+    setLastImportSource(source);
+    const saved = findSavedMappingInWorkbook(workbook);
+    if (saved) {
+      applyImport(
+        extractSalesData(workbook.sheets[saved.sheetName], saved.mapping),
+        fileName,
+      );
+    } else {
+      setImportSource(source);
+    }
+  };
+
+  // Handle sales file upload (XLSX, XLS, ODS, CSV or TSV)
+  const handleExcelUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow re-importing the same file
+    if (!file) return;
+    try {
+      startImport(file.name, await readSalesFile(file));
+    } catch (error) {
+      alert(
+        `Error processing the sales file. ${error.message || "Please check that it is a valid spreadsheet."}`,
+      );
+    }
+  };
+
+  // Handle a table pasted from a report grid or spreadsheet
+  const handlePasteImport = () => {
+    if (!pastedText.trim()) return;
+    startImport("Pasted data", readPastedTable(pastedText));
+    setPastedText("");
+    setShowPasteBox(false);
+  };
+
+  // --- Project Files ---
+
+  // Snapshot the current state as a project file object
+  const buildProjectFile = () =>
+    serializeProject({
+      name: projectName,
+      floorPlan: floorPlanImage
+        ? {
+            dataUrl: floorPlanImage.src,
+            width: floorPlanImage.width,
+            height: floorPlanImage.height,
+          }
+        : null,
+      departments,
+      calibration,
+      periods,
+      metrics,
+      spaceData,
+      aliases,
+      view: {
+        heatmapStyle,
+        palette,
+        divergingPalette,
+        scaleType,
+        classCount,
+        clipPercent,
+        gamma,
+        minIntensity,
+        blurRadius,
+        heatmapOpacity,
+        heatmapVisible,
+        zoom,
+        pan,
+        activeMetric,
+        normalization,
+        areaUnit,
+        activePeriod,
+        fixedDomain,
+        comparison,
+        snap,
+      },
+    });
+
+  // Export the whole project (floor plan, layout, data, view) as a JSON file
+  const handleSaveProject = () => {
+    if (!floorPlanImage) {
+      alert("Please upload a floor plan image first");
+      return;
+    }
+    downloadProjectFile(buildProjectFile());
+  };
+
+  // Replace the current state with a validated project
+  const loadProject = async (project) => {
+    const image = project.floorPlan
+      ? await loadImage(project.floorPlan.dataUrl)
+      : null;
+
+    skipAutosaveRef.current = true;
+    clearHistory();
+    setProjectName(project.name);
+    setFloorPlanImage(image);
+    setDepartments(project.departments);
+    setCalibration(project.calibration);
+    setPeriods(project.periods);
+    setActivePeriod(project.view.activePeriod);
+    setFixedDomain(project.view.fixedDomain);
+    setComparison(project.view.comparison);
+    setSnap(project.view.snap);
+    setIsPlaying(false);
+    setMetrics(project.metrics);
+    setSpaceData(project.spaceData);
+    setAliases(project.aliases);
+    setActiveMetric(project.view.activeMetric);
+    setNormalization(project.view.normalization);
+    setAreaUnit(project.view.areaUnit);
+    setAvailableDepts(periodDepartmentNames(project.periods));
+    setHeatmapStyle(project.view.heatmapStyle);
+    setPalette(project.view.palette);
+    setDivergingPalette(project.view.divergingPalette);
+    setScaleType(project.view.scaleType);
+    setClassCount(project.view.classCount);
+    setClipPercent(project.view.clipPercent);
+    setGamma(project.view.gamma);
+    setMinIntensity(project.view.minIntensity);
+    setBlurRadius(project.view.blurRadius);
+    setHeatmapOpacity(project.view.heatmapOpacity);
+    setHeatmapVisible(project.view.heatmapVisible);
+    setZoom(project.view.zoom);
+    setPan(project.view.pan);
+    setSelectedDepartment(null);
+    setShowDeptSelector(false);
+    setRealign(null);
+    setCalibrating(null);
+    setImportReport(null);
+    setShowImportReport(false);
+    setReconcile(null);
+    setShapeImport(null);
+    setPlanImport(null);
+    setMode("view");
+  };
+  loadProjectRef.current = loadProject;
+
+  // Handle project file upload
+  const handleOpenProject = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow re-opening the same file
+    if (!file) return;
+
+    try {
+      const project = parseProjectFile(await readFileAsText(file));
+      await flushAutosave();
+      await loadProject(project);
+      // An opened file becomes a new local project rather than overwriting
+      // one, so let the autosave store it under a fresh id
+      skipAutosaveRef.current = false;
+      activateProject(createProjectId());
+    } catch (error) {
+      alert(`Could not open project. ${error.message}`);
+    }
+  };
+
+  // --- Local Project Library (IndexedDB autosave) ---
+
+  const activateProject = (id) => {
+    setActiveProjectId(id);
+    storeActiveProjectId(id);
+  };
+
+  // Write the current state to IndexedDB straight away
+  const saveNow = async () => {
+    const hasContent = floorPlanImage || departments.length > 0;
+    if (!hasContent) return;
+
+    let id = activeProjectId;
+    if (!id) {
+      id = createProjectId();
+      activateProject(id);
+    }
+    setSaveStatus("saving");
+    try {
+      await saveStoredProject(id, buildProjectFile());
+      setSaveStatus("saved");
+    } catch (error) {
+      console.error("Autosave failed:", error);
+      setSaveStatus("error");
+    }
+  };
+  saveNowRef.current = saveNow;
+
+  // Run any pending autosave now (e.g. before switching projects)
+  const flushAutosave = async () => {
+    if (autosaveTimerRef.current) {
+      clearTimeout(autosaveTimerRef.current);
+      autosaveTimerRef.current = null;
+      await saveNowRef.current();
+    }
+  };
+
+  // Clear everything back to an empty, unsaved project
+  const resetProject = () => {
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = null;
+    skipAutosaveRef.current = true;
+    clearHistory();
+    setProjectName("");
+    setFloorPlanImage(null);
+    setDepartments([]);
+    setCalibration(null);
+    setPeriods([]);
+    setActivePeriod(0);
+    setFixedDomain(DEFAULT_VIEW.fixedDomain);
+    setComparison(DEFAULT_VIEW.comparison);
+    setSnap(DEFAULT_VIEW.snap);
+    setIsPlaying(false);
+    setMetrics([]);
+    setSpaceData({});
+    setAliases({});
+    setActiveMetric(SALES_METRIC);
+    setNormalization(DEFAULT_VIEW.normalization);
+    setAreaUnit(DEFAULT_VIEW.areaUnit);
+    setAvailableDepts([]);
+    setLastImportSource(null);
+    setImportReport(null);
+    setShowImportReport(false);
+    setReconcile(null);
+    setShapeImport(null);
+    setPlanImport(null);
+    setHeatmapStyle(DEFAULT_VIEW.heatmapStyle);
+    setPalette(DEFAULT_VIEW.palette);
+    setDivergingPalette(DEFAULT_VIEW.divergingPalette);
+    setScaleType(DEFAULT_VIEW.scaleType);
+    setClassCount(DEFAULT_VIEW.classCount);
+    setClipPercent(DEFAULT_VIEW.clipPercent);
+    setGamma(DEFAULT_VIEW.gamma);
+    setMinIntensity(DEFAULT_VIEW.minIntensity);
+    setBlurRadius(DEFAULT_VIEW.blurRadius);
+    setHeatmapOpacity(DEFAULT_VIEW.heatmapOpacity);
+    setHeatmapVisible(DEFAULT_VIEW.heatmapVisible);
+    setZoom(DEFAULT_VIEW.zoom);
+    setPan(DEFAULT_VIEW.pan);
+    setSelectedDepartment(null);
+    setShowDeptSelector(false);
+    setRealign(null);
+    setCalibrating(null);
+    setMode("view");
+    setSaveStatus("idle");
+    activateProject(null);
+  };
+
+  const handleOpenStoredProject = async (id) => {
+    try {
+      await flushAutosave();
+      const project = await loadStoredProject(id);
+      await loadProject(project);
+      activateProject(id);
+      setSaveStatus("saved");
+    } catch (error) {
+      alert(`Could not open project. ${error.message}`);
+    }
+  };
+
+  const handleNewProject = async () => {
+    await flushAutosave();
+    resetProject();
+  };
+
+  // Reopen the last active project on startup
+  useEffect(() => {
+    const lastId = getActiveProjectId();
+    if (!lastId) {
+      autosaveReadyRef.current = true;
+      return;
+    }
+    loadStoredProject(lastId)
+      .then(async (project) => {
+        await loadProjectRef.current(project);
+        setActiveProjectId(lastId);
+        setSaveStatus("saved");
+      })
+      .catch((error) => {
+        console.error("Could not restore the last project:", error);
+        storeActiveProjectId(null);
+      })
+      .finally(() => {
+        autosaveReadyRef.current = true;
+      });
+  }, []);
+
+  // Debounced autosave whenever the project content changes
+  useEffect(() => {
+    if (!autosaveReadyRef.current) return;
+    if (skipAutosaveRef.current) {
+      skipAutosaveRef.current = false;
+      return;
+    }
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = setTimeout(() => {
+      autosaveTimerRef.current = null;
+      saveNowRef.current();
+    }, AUTOSAVE_DELAY_MS);
+  }, [
+    projectName,
+    floorPlanImage,
+    departments,
+    calibration,
+    periods, // Not activePeriod: playing the timeline is not an edit
+    metrics,
+    spaceData,
+    aliases,
+    heatmapStyle,
+    palette,
+    divergingPalette,
+    scaleType,
+    classCount,
+    clipPercent,
+    gamma,
+    minIntensity,
+    blurRadius,
+    heatmapOpacity,
+    heatmapVisible,
+    activeMetric,
+    normalization,
+    areaUnit,
+    fixedDomain,
+    comparison,
+    snap,
+    zoom,
+    pan,
+  ]);
+
+  // Save immediately if the tab is being hidden or closed
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === "hidden") flushAutosave();
+    };
+    document.addEventListener("visibilitychange", handleHide);
+    window.addEventListener("pagehide", flushAutosave);
+    return () => {
+      document.removeEventListener("visibilitychange", handleHide);
+      window.removeEventListener("pagehide", flushAutosave);
+    };
+  });
+
   // --- Department Management ---
 
   // Show the department selector UI
@@ -149,11 +1122,9 @@ const PharmIQHeatMap = () => {
     }
     // Filter available departments to show only those not already drawn
     const drawnDeptNames = new Set(departments.map((d) => d.name));
-    const available = salesData
-      ? Object.keys(salesData)
-          .filter((name) => !drawnDeptNames.has(name))
-          .sort()
-      : [];
+    const available = periodDepartmentNames(periods).filter(
+      (name) => !drawnDeptNames.has(name),
+    );
     setAvailableDepts(available);
     setShowDeptSelector(true);
     setNewDeptName("");
@@ -170,10 +1141,10 @@ const PharmIQHeatMap = () => {
       id: Date.now().toString(),
       name,
       coords: [], // Start with empty coordinates
-      sales: salesData && salesData[name] ? salesData[name] : 0,
     };
 
     const newIndex = departments.length;
+    recordHistory(`Create ${name}`);
     setDepartments([...departments, newDept]);
     setSelectedDepartment(newIndex); // Select the newly added department
     setMode("draw"); // Switch to drawing mode
@@ -187,6 +1158,17 @@ const PharmIQHeatMap = () => {
       selectedDepartment !== null &&
       departments[selectedDepartment]?.coords?.length >= 3
     ) {
+      // Warn before accepting an outline with geometry problems
+      const dept = departments[selectedDepartment];
+      const issues = layoutCheck.issues[dept.id] || [];
+      if (
+        issues.length > 0 &&
+        !window.confirm(
+          `${dept.name} has problems:\n\n${issues.map(describeIssue).join("\n")}\n\nFinish anyway? The warnings stay in the department list.`,
+        )
+      ) {
+        return;
+      }
       setMode("view");
       setSelectedDepartment(null); // Deselect department after finishing
     } else if (selectedDepartment !== null) {
@@ -197,6 +1179,7 @@ const PharmIQHeatMap = () => {
   // Clear the current department's coordinates (while drawing)
   const clearCurrentDepartmentPoints = () => {
     if (mode === "draw" && selectedDepartment !== null) {
+      recordHistory(`Clear points of ${departments[selectedDepartment]?.name}`);
       setDepartments((prevDepts) => {
         const newDepts = [...prevDepts];
         if (newDepts[selectedDepartment]) {
@@ -210,8 +1193,74 @@ const PharmIQHeatMap = () => {
     }
   };
 
+  // Cut away the parts of a department that overlap its neighbours, so
+  // shared floor is only counted once
+  const clipDepartment = (index) => {
+    const dept = departments[index];
+    const neighbourIds = new Set(
+      (layoutCheck.issues[dept.id] || [])
+        .filter((issue) => issue.type === "overlap")
+        .map((issue) => issue.otherId),
+    );
+    let clipped;
+    try {
+      clipped = clipOutline(
+        dept.coords,
+        departments.filter((other) => neighbourIds.has(other.id)).map((other) => other.coords),
+      );
+    } catch {
+      alert(`${dept.name} could not be clipped. Fix any outline that crosses itself first.`);
+      return;
+    }
+    const { coords, hole } = clipped;
+    if (!coords) {
+      alert(
+        `Clipping would leave nothing of ${dept.name}, as its neighbours cover all of it. Edit the outlines by hand instead.`,
+      );
+      return;
+    }
+    // A neighbour wholly inside would leave a hole, which an outline cannot have
+    if (hole) {
+      alert(
+        `${dept.name} cannot be clipped, as a neighbour lies wholly inside it. Clip the inner department instead, or edit the outlines by hand.`,
+      );
+      return;
+    }
+    if (Math.abs(polygonArea(coords) - polygonArea(dept.coords)) < MIN_AREA_CHANGE) {
+      alert(`Clipping would not change ${dept.name}. Edit the outlines by hand instead.`);
+      return;
+    }
+    recordHistory(`Clip ${dept.name} to its neighbours`);
+    setDepartments((prevDepts) =>
+      prevDepts.map((d, i) => (i === index ? { ...d, coords } : d)),
+    );
+  };
+
+  // Add the chosen plan shapes as departments: [{ name, coords }]. A shape
+  // named after an existing department replaces its outline.
+  const importShapes = (chosen) => {
+    recordHistory("Import shapes from plan");
+    setDepartments((prevDepts) => {
+      const byName = new Map(chosen.map((shape) => [shape.name, shape.coords]));
+      const replaced = prevDepts.map((dept) =>
+        byName.has(dept.name) ? { ...dept, coords: byName.get(dept.name) } : dept,
+      );
+      const existingNames = new Set(prevDepts.map((dept) => dept.name));
+      const added = chosen
+        .filter((shape) => !existingNames.has(shape.name))
+        .map((shape, i) => ({
+          id: `${Date.now()}-${i}`,
+          name: shape.name,
+          coords: shape.coords,
+        }));
+      return [...replaced, ...added];
+    });
+    setShapeImport(null);
+  };
+
   // Delete a department entirely
   const deleteDepartment = (indexToDelete) => {
+    recordHistory(`Delete ${departments[indexToDelete]?.name}`);
     setDepartments((prevDepts) =>
       prevDepts.filter((_, index) => index !== indexToDelete),
     );
@@ -229,6 +1278,342 @@ const PharmIQHeatMap = () => {
     }
   };
 
+  // Set a department's floor space by hand. Areas are entered in the
+  // chosen unit and stored in m²; a blank field falls back to the import.
+  const updateDepartmentSpace = (index, field, text) => {
+    const dept = departments[index];
+    const number = parseFloat(text);
+    let value = Number.isFinite(number) && number > 0 ? number : undefined;
+    if (value !== undefined && field === "area") {
+      value = toSquareMetres(value, areaUnit);
+    }
+
+    recordHistory(
+      `Set ${field === "area" ? "area" : "bay count"} for ${dept.name}`,
+    );
+    setDepartments((prevDepts) =>
+      prevDepts.map((d, i) => {
+        if (i !== index) return d;
+        const next = { ...d };
+        if (value === undefined) delete next[field];
+        else next[field] = value;
+        return next;
+      }),
+    );
+  };
+
+  // Replace one department's outline with update(coords)
+  const updateDepartmentCoords = useCallback((index, update) => {
+    setDepartments((prevDepts) =>
+      prevDepts.map((dept, i) =>
+        i === index ? { ...dept, coords: update(dept.coords) } : dept,
+      ),
+    );
+  }, []);
+
+  // --- Drawing Tools ---
+  //
+  // In draw mode the points tool adds one vertex per click; the rectangle,
+  // ellipse and lasso tools are dragged out and replace the department's
+  // outline in one go, and the magic wand outlines the bay clicked in the
+  // floor plan image (see lib/magicWand). Points snap to other outlines' vertices and edges
+  // and to the grid (see lib/drawingTools), so neighbours share walls.
+
+  // Snap a plan point, ignoring the outline of department `skipIndex`
+  const snapToLayout = useCallback(
+    (point, skipIndex = null) =>
+      snapPoint(
+        point,
+        departments.filter((_, i) => i !== skipIndex).map((dept) => dept.coords),
+        snap,
+        SNAP_RADIUS / zoom,
+      ),
+    [departments, snap, zoom],
+  );
+
+  const updateSnap = (changes) => setSnap((prev) => ({ ...prev, ...changes }));
+
+  // Outline of a shape being dragged out, or null when too small to keep
+  const shapeOutline = (draft) => {
+    if (draft.tool === "lasso") {
+      const outline = simplifyPath(draft.path, LASSO_TOLERANCE / zoom);
+      return outline.length >= 3 ? outline : null;
+    }
+    const minSize = HANDLE_RADIUS / zoom;
+    if (
+      Math.abs(draft.end.x - draft.start.x) < minSize ||
+      Math.abs(draft.end.y - draft.start.y) < minSize
+    ) {
+      return null;
+    }
+    return draft.tool === "ellipse"
+      ? ellipsePoints(draft.start, draft.end)
+      : rectanglePoints(draft.start, draft.end);
+  };
+
+  // Replace the outline of the department being drawn with the finished shape
+  const finishShape = () => {
+    const draft = shapeDraft;
+    setShapeDraft(null);
+    const outline = draft && shapeOutline(draft);
+    if (!outline || !departments[selectedDepartment]) return;
+    recordHistory(
+      `Draw ${DRAWING_TOOLS[draft.tool].toLowerCase()} for ${departments[selectedDepartment].name}`,
+    );
+    // Lasso vertices snap once the path is simplified
+    const coords =
+      draft.tool === "lasso"
+        ? outline.map((point) => snapToLayout(point, selectedDepartment).point)
+        : outline;
+    updateDepartmentCoords(selectedDepartment, () => coords);
+  };
+
+  // Outline the region of the floor plan around a clicked point and use it
+  // as the department's outline, or add it to or cut it from the outline
+  const applyMagicWand = useCallback(
+    (point, operation) => {
+      const dept = departments[selectedDepartment];
+      if (!dept || !floorPlanImage) return;
+      if (planPixelsRef.current?.image !== floorPlanImage) {
+        planPixelsRef.current = { image: floorPlanImage, pixels: readImagePixels(floorPlanImage) };
+      }
+      const fill = floodFill(planPixelsRef.current.pixels, point, wandTolerance);
+      if (!fill) return;
+      if (
+        fill.touchesEdge &&
+        !window.confirm(
+          "The selection reaches the edge of the floor plan, so it has probably leaked through a gap in a wall. Use it anyway?\n\nLowering the tolerance keeps it inside the bay.",
+        )
+      ) {
+        return;
+      }
+      const region = traceRegion(fill);
+      if (!region) {
+        alert("That area is too small to outline. Try clicking inside a bay, or raise the tolerance.");
+        return;
+      }
+      const merging = operation !== "replace" && dept.coords.length >= 3;
+      let coords = region;
+      if (merging) {
+        let merged;
+        try {
+          merged = mergeRegion(dept.coords, region, operation);
+        } catch {
+          merged = { coords: null, separate: false };
+        }
+        if (merged.separate) {
+          alert(
+            `That area does not touch ${dept.name}'s outline, probably as a wall lies between them. Add areas that share an edge with the outline, or trace across the wall by hand.`,
+          );
+          return;
+        }
+        coords = merged.coords;
+      } else if (operation === "subtract") {
+        return; // Nothing to cut from yet
+      }
+      if (!coords) {
+        alert(`The ${WAND_MODES[operation].toLowerCase()} would leave no outline for ${dept.name}.`);
+        return;
+      }
+      if (merging && Math.abs(polygonArea(coords) - polygonArea(dept.coords)) < MIN_AREA_CHANGE) {
+        alert(
+          operation === "subtract"
+            ? `That area is not part of ${dept.name}.`
+            : `That area is already part of ${dept.name}.`,
+        );
+        return;
+      }
+      recordHistory(`Magic wand on ${dept.name}`);
+      updateDepartmentCoords(selectedDepartment, () => coords);
+    },
+    [
+      departments,
+      selectedDepartment,
+      floorPlanImage,
+      wandTolerance,
+      recordHistory,
+      updateDepartmentCoords,
+    ],
+  );
+
+  // --- Outline Editing ---
+  //
+  // Edit mode puts a handle on every vertex of the selected department and
+  // a smaller one halfway along every edge. Drag a vertex to move it, click
+  // or drag an edge handle to add a vertex there, and drag inside the
+  // outline to move the whole department. Double-click a vertex, or click it
+  // and press Delete, to remove it.
+
+  const startEditing = (index) => {
+    setSelectedDepartment(index);
+    setSelectedVertex(null);
+    setMode("edit");
+    setShowDeptSelector(false);
+  };
+
+  const finishEditing = () => {
+    setMode("view");
+    setSelectedDepartment(null);
+    setSelectedVertex(null);
+  };
+
+  // The edit handle under a point in plan coordinates, or null:
+  // { type: 'vertex' | 'insert', vertex } or { type: 'move' }. Hit areas
+  // stay the same size on screen at any zoom.
+  const editHandleAt = useCallback(
+    (point) => {
+      const coords = departments[selectedDepartment]?.coords;
+      if (!coords || coords.length < 3) return null;
+      const radius = HANDLE_HIT_RADIUS / zoom;
+      const vertex = nearestVertex(point, coords, radius);
+      if (vertex !== null) return { type: "vertex", vertex };
+      const edge = nearestVertex(point, edgeMidpoints(coords), radius);
+      if (edge !== null) return { type: "insert", vertex: edge + 1 };
+      return pointInPolygon(point, coords) ? { type: "move" } : null;
+    },
+    [departments, selectedDepartment, zoom],
+  );
+
+  const insertVertex = useCallback(
+    (vertex, point) => {
+      recordHistory(`Add point to ${departments[selectedDepartment]?.name}`);
+      updateDepartmentCoords(selectedDepartment, (coords) => [
+        ...coords.slice(0, vertex),
+        { x: point.x, y: point.y },
+        ...coords.slice(vertex),
+      ]);
+      setSelectedVertex(vertex);
+    },
+    [departments, selectedDepartment, recordHistory, updateDepartmentCoords],
+  );
+
+  const deleteVertex = useCallback(
+    (vertex) => {
+      const dept = departments[selectedDepartment];
+      if (!dept) return;
+      if (dept.coords.length <= 3) {
+        alert("A department needs at least 3 points. Delete the department instead.");
+        return;
+      }
+      recordHistory(`Delete point of ${dept.name}`);
+      updateDepartmentCoords(selectedDepartment, (coords) =>
+        coords.filter((_, i) => i !== vertex),
+      );
+      setSelectedVertex(null);
+    },
+    [departments, selectedDepartment, recordHistory, updateDepartmentCoords],
+  );
+
+  // Delete / Backspace removes the picked vertex
+  useEffect(() => {
+    if (mode !== "edit" || selectedVertex === null) return;
+    const handleKeyDown = (e) => {
+      if (!["Delete", "Backspace"].includes(e.key) || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      deleteVertex(selectedVertex);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [mode, selectedVertex, deleteVertex]);
+
+  // --- Floor Plan Realignment ---
+
+  const finishRealign = () => {
+    setRealign(null);
+    setMode("view");
+  };
+
+  // Stretch the layout proportionally from the old image size to the new one
+  const realignByScaling = () => {
+    const { previousImage } = realign;
+    const transform = scaleTransform(
+      previousImage.width,
+      previousImage.height,
+      floorPlanImage.width,
+      floorPlanImage.height,
+    );
+    recordHistory("Scale layout to new floor plan");
+    setDepartments((prevDepts) => transformDepartments(prevDepts, transform));
+    setCalibration((prev) => transformCalibration(prev, transform));
+    finishRealign();
+  };
+
+  // Fit the layout using the reference point pairs picked on the canvas
+  const realignByReferencePoints = () => {
+    const { previousImage } = realign;
+    const transform = solveTransform(
+      realign.pairs,
+      Math.hypot(previousImage.width, previousImage.height),
+    );
+    if (!transform) {
+      alert(
+        "These reference points cannot define an alignment. Pick points that are further apart and not all in a straight line.",
+      );
+      return;
+    }
+    recordHistory("Realign layout to reference points");
+    setDepartments((prevDepts) => transformDepartments(prevDepts, transform));
+    setCalibration((prev) => transformCalibration(prev, transform));
+    finishRealign();
+  };
+
+  // Record a reference point: first on the old layout, then on the new plan
+  const addRealignPoint = (point) => {
+    setRealign((prev) =>
+      prev.pendingFrom
+        ? {
+            ...prev,
+            pairs: [...prev.pairs, { from: prev.pendingFrom, to: point }],
+            pendingFrom: null,
+          }
+        : { ...prev, pendingFrom: point },
+    );
+  };
+
+  // --- Scale Calibration ---
+
+  const startCalibration = () => {
+    setCalibrating({ points: [], distance: "" });
+    setSelectedDepartment(null);
+    setShowDeptSelector(false);
+    setMode("calibrate");
+  };
+
+  const cancelCalibration = () => {
+    setCalibrating(null);
+    setMode("view");
+  };
+
+  // Pick the two ends of a known distance; a third click starts over
+  const addCalibrationPoint = (point) => {
+    setCalibrating((prev) => ({
+      ...prev,
+      points: prev.points.length >= 2 ? [point] : [...prev.points, point],
+    }));
+  };
+
+  const applyCalibration = () => {
+    const value = parseFloat(calibrating.distance);
+    const [from, to] = calibrating.points;
+    const next = {
+      from,
+      to,
+      metres: value * LENGTH_UNITS[lengthUnit].toMetres,
+    };
+    if (!(value > 0) || !pixelsPerMetre(next)) {
+      alert("Enter the real distance between two different points.");
+      return;
+    }
+    recordHistory("Calibrate floor plan scale");
+    setCalibration(next);
+    cancelCalibration();
+  };
+
+  const clearCalibration = () => {
+    recordHistory("Clear floor plan scale");
+    setCalibration(null);
+  };
+
   // --- Canvas Interaction ---
 
   // Convert mouse event coordinates to canvas image coordinates (accounting for pan/zoom)
@@ -259,12 +1644,57 @@ const PharmIQHeatMap = () => {
   // Handle canvas click for drawing department boundaries
   const handleCanvasClick = useCallback(
     (e) => {
+      // In view mode a click (not the end of a pan) opens the detail panel
+      // of the department under it, or closes it on empty floor
+      if (mode === "view") {
+        if (dragDistanceRef.current > CLICK_TOLERANCE) return;
+        const point = getCanvasCoordinates(e);
+        const index = point ? departmentAt(point, departments) : null;
+        setDetailDeptId(index === null ? null : departments[index].id);
+        return;
+      }
+      // In edit mode handles are dragged on mouse down; a plain click adds a
+      // vertex on an edge handle or picks another department to edit
+      if (mode === "edit") {
+        if (dragDistanceRef.current > CLICK_TOLERANCE) return;
+        const point = getCanvasCoordinates(e);
+        if (!point) return;
+        const handle = editHandleAt(point);
+        if (handle?.type === "vertex") return;
+        if (handle?.type === "insert") {
+          insertVertex(handle.vertex, snapToLayout(point, selectedDepartment).point);
+          return;
+        }
+        setSelectedVertex(null);
+        const index = handle ? null : departmentAt(point, departments);
+        if (index !== null) setSelectedDepartment(index);
+        return;
+      }
+      if (mode === "align" && realign) {
+        const point = getCanvasCoordinates(e);
+        if (point) addRealignPoint(point);
+        return;
+      }
+      if (mode === "calibrate" && calibrating) {
+        const point = getCanvasCoordinates(e);
+        if (point) addCalibrationPoint(point);
+        return;
+      }
       if (mode !== "draw" || selectedDepartment === null) return; // Only add points in draw mode for a selected dept
-
-      const coords = getCanvasCoordinates(e);
-      if (!coords) return;
+      if (isShapeTool(drawingTool)) return; // Shapes are dragged out, not clicked
+
+      const point = getCanvasCoordinates(e);
+      if (!point) return;
+      // Shift-click adds to the outline and Alt-click cuts from it,
+      // whatever the wand mode
+      if (drawingTool === "wand") {
+        applyMagicWand(point, e.shiftKey ? "add" : e.altKey ? "subtract" : wandMode);
+        return;
+      }
+      const coords = snapToLayout(point).point;
 
       // Add the calculated point to the selected department's coordinates
+      recordHistory(`Add point to ${departments[selectedDepartment]?.name}`);
       setDepartments((prevDepts) => {
         // Ensure the selected department exists
         if (!prevDepts[selectedDepartment]) {
@@ -284,27 +1714,142 @@ const PharmIQHeatMap = () => {
         return newDepts;
       });
     },
-    [mode, selectedDepartment, getCanvasCoordinates],
+    [
+      mode,
+      realign,
+      calibrating,
+      selectedDepartment,
+      departments,
+      drawingTool,
+      wandMode,
+      getCanvasCoordinates,
+      snapToLayout,
+      applyMagicWand,
+      editHandleAt,
+      insertVertex,
+      recordHistory,
+    ],
   ); // Dependencies for useCallback
 
+  // Double-clicking a vertex in edit mode deletes it
+  const handleCanvasDoubleClick = (e) => {
+    if (mode !== "edit") return;
+    const point = getCanvasCoordinates(e);
+    const handle = point && editHandleAt(point);
+    if (handle?.type === "vertex") deleteVertex(handle.vertex);
+  };
+
   // --- Panning and Zooming Handlers ---
 
-  // Handle mouse down for panning
+  // Handle mouse down for panning, or grabbing an edit handle
   const handleMouseDown = (e) => {
-    // Allow panning only in view mode or when not clicking on a specific interactive element
-    if (mode === "view") {
+    dragDistanceRef.current = 0;
+    if (mode === "draw" && isShapeTool(drawingTool) && departments[selectedDepartment]) {
+      const point = getCanvasCoordinates(e);
+      if (!point) return;
+      const start = drawingTool === "lasso" ? point : snapToLayout(point).point;
+      setShapeDraft({ tool: drawingTool, start, end: start, path: [point] });
+      return;
+    }
+    if (mode === "edit") {
+      const point = getCanvasCoordinates(e);
+      const handle = point && editHandleAt(point);
+      if (handle) {
+        editDragRef.current = { ...handle, start: point, last: point, recorded: false };
+        if (handle.type === "vertex") setSelectedVertex(handle.vertex);
+        return;
+      }
+    }
+    // Allow panning only in view and edit modes, away from any handle
+    if (mode === "view" || mode === "edit") {
       setIsDragging(true);
+      setHover(null);
       // Use coordinates relative to the container, not the whole page
       setDragStart({ x: e.clientX, y: e.clientY });
     }
   };
 
-  // Handle mouse move for panning
+  // Reshape or move the department being edited as its handle is dragged.
+  // The undo step is recorded once the pointer has moved far enough to be a
+  // drag, so plain clicks do not leave empty steps behind.
+  const dragEditHandle = (pointer) => {
+    const drag = editDragRef.current;
+    dragDistanceRef.current = distance(drag.start, pointer) * zoom;
+    // Vertices snap; a department being moved follows the pointer exactly
+    const point =
+      drag.type === "move" ? pointer : snapToLayout(pointer, selectedDepartment).point;
+    if (!drag.recorded) {
+      if (dragDistanceRef.current <= CLICK_TOLERANCE) return;
+      const name = departments[selectedDepartment]?.name;
+      if (drag.type === "insert") {
+        insertVertex(drag.vertex, point);
+        drag.type = "vertex";
+      } else {
+        recordHistory(drag.type === "move" ? `Move ${name}` : `Move point of ${name}`);
+      }
+      drag.recorded = true;
+    }
+    const dx = point.x - drag.last.x;
+    const dy = point.y - drag.last.y;
+    updateDepartmentCoords(selectedDepartment, (coords) =>
+      drag.type === "move"
+        ? translatePoints(coords, dx, dy)
+        : coords.map((vertex, i) => (i === drag.vertex ? { x: point.x, y: point.y } : vertex)),
+    );
+    drag.last = point;
+  };
+
+  // Handle mouse move for panning, dragging edit handles, or hovering over departments
   const handleMouseMove = (e) => {
-    if (!isDragging || mode !== "view") return; // Only pan in view mode
+    if (mode === "draw") {
+      const point = getCanvasCoordinates(e);
+      if (!point) return;
+      // The wand works on the image, so nothing snaps
+      if (drawingTool === "wand") {
+        setSnapTarget(null);
+        return;
+      }
+      if (shapeDraft?.tool === "lasso") {
+        // Keep a point every couple of screen pixels
+        const last = shapeDraft.path[shapeDraft.path.length - 1];
+        if (distance(last, point) * zoom >= 2) {
+          setShapeDraft({ ...shapeDraft, path: [...shapeDraft.path, point] });
+        }
+        setSnapTarget(null);
+        return;
+      }
+      const snapped = snapToLayout(point);
+      setSnapTarget(snapped.target ? snapped : null);
+      if (shapeDraft) setShapeDraft({ ...shapeDraft, end: snapped.point });
+      return;
+    }
+    if (mode === "edit") {
+      const point = getCanvasCoordinates(e);
+      if (point && editDragRef.current) {
+        dragEditHandle(point);
+        return;
+      }
+      if (point && !isDragging) {
+        const handle = editHandleAt(point);
+        setEditCursor(
+          handle?.type === "move" ? "move" : handle ? "pointer" : "grab",
+        );
+      }
+    }
+    if (mode !== "view" && mode !== "edit") return; // Only pan in view and edit modes
+    if (!isDragging) {
+      if (mode === "edit") return;
+      const point = getCanvasCoordinates(e);
+      const index = point ? departmentAt(point, departments) : null;
+      setHover(
+        index === null ? null : { id: departments[index].id, x: e.clientX, y: e.clientY },
+      );
+      return;
+    }
 
     const dx = e.clientX - dragStart.x;
     const dy = e.clientY - dragStart.y;
+    dragDistanceRef.current += Math.hypot(dx, dy);
 
     // Update pan state
     setPan((prevPan) => ({
@@ -316,13 +1861,21 @@ const PharmIQHeatMap = () => {
     setDragStart({ x: e.clientX, y: e.clientY });
   };
 
-  // Handle mouse up/leave to end panning
+  // Handle mouse up/leave to end panning or handle dragging
   const handleMouseUpOrLeave = () => {
+    editDragRef.current = null;
+    if (shapeDraft) finishShape();
     if (isDragging) {
       setIsDragging(false);
     }
   };
 
+  const handleMouseLeave = () => {
+    handleMouseUpOrLeave();
+    setHover(null);
+    setSnapTarget(null);
+  };
+
   // Handle mouse wheel for zooming
   const handleWheel = (e) => {
     e.preventDefault(); // Prevent page scrolling
@@ -349,190 +1902,103 @@ const PharmIQHeatMap = () => {
     setPan({ x: newPanX, y: newPanY });
   };
 
-  // --- Heatmap Generation ---
-
-  const generateHeatmap = useCallback(
-    (width, height) => {
-      if (!departments.length || !maxSales || !heatmapVisible) {
-        return null;
-      }
-
-      // Create offscreen canvas for the heatmap
-      const heatmapCanvas = heatmapCanvasRef.current;
-      heatmapCanvas.width = width;
-      heatmapCanvas.height = height;
-      const heatmapCtx = heatmapCanvas.getContext("2d");
-      heatmapCtx.clearRect(0, 0, width, height);
-
-      // Draw each department as a filled polygon with alpha based on sales
-      // WITH THIS CENTER-FOCUSED VERSION:
-      for (const dept of departments) {
-        if (!dept.coords || dept.coords.length < 3) {
-          continue;
-        }
-
-        // Calculate the centroid of the department polygon
-        let centerX = 0,
-          centerY = 0;
-        dept.coords.forEach((coord) => {
-          centerX += coord.x;
-          centerY += coord.y;
-        });
-        centerX /= dept.coords.length;
-        centerY /= dept.coords.length;
-
-        // Calculate the maximum distance from center to any vertex (for gradient radius)
-        let maxDistance = 0;
-        dept.coords.forEach((coord) => {
-          const distance = Math.sqrt(
-            Math.pow(coord.x - centerX, 2) + Math.pow(coord.y - centerY, 2),
-          );
-          if (distance > maxDistance) {
-            maxDistance = distance;
-          }
-        });
-
-        // Add a little extra to the radius to ensure it covers the whole polygon
-        const gradientRadius = maxDistance * 1.2;
-
-        let intensity = dept.sales / maxSales; // Normalized sales value
-
-        if (isNaN(intensity) || !isFinite(intensity)) {
-          intensity = 0.5; // Use a default value if we get NaN
-        }
-
-        intensity = Math.pow(intensity, 0.3);
-        intensity = Math.max(intensity, 0.3); // Ensure intensity is at least 30%
-
-        // Create a radial gradient centered at the department's centroid
-        const gradient = heatmapCtx.createRadialGradient(
-          centerX,
-          centerY,
-          0, // Inner circle center and radius
-          centerX,
-          centerY,
-          gradientRadius, // Outer circle center and radius
-        );
-
-        // Add color stops to the gradient
-        // Center is full intensity, edges fade to around 30% of the intensity
-        gradient.addColorStop(0, `rgba(255, 255, 255, ${intensity})`); // Center - full intensity
-        gradient.addColorStop(0.7, `rgba(255, 255, 255, ${intensity * 0.8})`); // Middle area - 80% intensity
-        gradient.addColorStop(1, `rgba(255, 255, 255, ${intensity * 0.3})`); // Edge - 30% intensity
-
-        // Draw the department polygon using the gradient
-        heatmapCtx.beginPath();
-        heatmapCtx.moveTo(dept.coords[0].x, dept.coords[0].y);
-        for (let i = 1; i < dept.coords.length; i++) {
-          heatmapCtx.lineTo(dept.coords[i].x, dept.coords[i].y);
-        }
-        heatmapCtx.closePath();
-
-        // Fill with the gradient
-        heatmapCtx.fillStyle = gradient;
-        heatmapCtx.fill();
-      }
-
-      // Apply blur to create a smooth heatmap effect
-      heatmapCtx.filter = `blur(${blurRadius * 1.5}px)`; // Increase blur for smoother effect
-
-      // Create temporary canvas to apply the blur
-      const tempCanvas = document.createElement("canvas");
-      tempCanvas.width = width;
-      tempCanvas.height = height;
-      const tempCtx = tempCanvas.getContext("2d");
-
-      // Draw the blurred content to the temp canvas
-      tempCtx.drawImage(heatmapCanvas, 0, 0);
-
-      // Clear original and reset filter
-      heatmapCtx.clearRect(0, 0, width, height);
-      heatmapCtx.filter = "none";
-
-      // Get the blurred image data
-      const blurredData = tempCtx.getImageData(0, 0, width, height);
-      const outputData = heatmapCtx.createImageData(width, height);
-
-      // Apply the color scale to the blurred data
-      for (let i = 0; i < blurredData.data.length; i += 4) {
-        const alpha = blurredData.data[i + 3] / 255; // Normalize alpha to 0-1
-        if (alpha > 0) {
-          // Apply color based on the alpha (intensity)
-          const color = d3.rgb(colorScale(alpha));
-          outputData.data[i] = color.r; // R
-          outputData.data[i + 1] = color.g; // G
-          outputData.data[i + 2] = color.b; // B
-
-          outputData.data[i + 3] = Math.min(
-            255,
-            alpha * 255 * heatmapOpacity * 1.5,
-          ); // A - Amplify opacity
-        }
-      }
+  // --- Render Pipeline ---
+  //
+  // The canvas is composed from three layers so panning and zooming only
+  // repaint what moved:
+  //   base    - the floor plan (and the old plan while realigning), cached
+  //   heatmap - recomputed only when the data or heatmap settings change
+  //   overlay - outlines, labels and drawing handles, drawn every frame
+  // Frames are scheduled with requestAnimationFrame, so a burst of changes
+  // (a drag, a wheel zoom) paints once per frame.
+
+  const scheduleRender = useCallback(() => {
+    if (renderFrameRef.current !== null) return;
+    renderFrameRef.current = requestAnimationFrame(() => {
+      renderFrameRef.current = null;
+      drawFrameRef.current?.();
+    });
+  }, []);
 
-      // Put the colored data back to the heatmap canvas
-      heatmapCtx.putImageData(outputData, 0, 0);
+  useEffect(() => () => cancelAnimationFrame(renderFrameRef.current), []);
 
-      return heatmapCanvas;
-    },
-    [
-      departments,
-      maxSales,
-      colorScale,
-      heatmapVisible,
-      blurRadius,
-      heatmapOpacity,
-    ],
+  // Base layer
+  const ghostImage = mode === "align" && realign?.showPrevious ? realign.previousImage : null;
+  useEffect(() => {
+    baseReadyRef.current = !!floorPlanImage;
+    if (floorPlanImage) {
+      baseLayerRef.current ??= document.createElement("canvas");
+      renderBaseLayer(baseLayerRef.current, floorPlanImage, ghostImage);
+    }
+    scheduleRender();
+  }, [floorPlanImage, ghostImage, scheduleRender]);
+
+  // Heatmap layer. Departments without the area or bay count the
+  // normalisation divides by have nothing to show.
+  const heatmapDepartments = useMemo(
+    () => departments.filter((dept) => hasSpaceFor(normalization, deptSpace[dept.name])),
+    [departments, normalization, deptSpace],
   );
-
-  // --- Drawing Effect ---
-
   useEffect(() => {
+    heatmapLayerRef.current ??= createHeatmapLayer();
+    heatmapReadyRef.current =
+      !!floorPlanImage &&
+      heatmapVisible &&
+      renderHeatmapLayer(heatmapLayerRef.current, {
+        width: floorPlanImage.width,
+        height: floorPlanImage.height,
+        departments: heatmapDepartments,
+        positions: deptPositions,
+        comparison: !!activeComparison,
+        style: heatmapStyle,
+        gamma,
+        minIntensity,
+        blurRadius,
+        opacity: heatmapOpacity,
+        colorScale: activeScale,
+        formatLabel: formatPosition,
+      });
+    scheduleRender();
+  }, [
+    floorPlanImage,
+    heatmapVisible,
+    heatmapDepartments,
+    deptPositions,
+    activeComparison,
+    heatmapStyle,
+    gamma,
+    minIntensity,
+    blurRadius,
+    heatmapOpacity,
+    activeScale,
+    formatPosition,
+    scheduleRender,
+  ]);
+
+  // Composite the cached layers and draw the overlay
+  const drawFrame = useCallback(() => {
     const canvas = canvasRef.current;
     const ctx = canvas?.getContext("2d");
     const container = containerRef.current;
 
-    if (!ctx || !floorPlanImage || !container || !floorPlanImage.complete) {
+    if (!ctx || !floorPlanImage || !container || !baseReadyRef.current) {
       // Clear canvas if no image or context
       if (ctx && canvas) ctx.clearRect(0, 0, canvas.width, canvas.height);
       return;
     }
 
-    // --- Canvas Resizing (Fit container) ---
-    // Match canvas logical size to container size for correct display scaling
-    const { width: containerWidth, height: containerHeight } =
-      container.getBoundingClientRect();
-
-    // Fallback if container height is 0 (likely due to absolute positioned children)
-    let effectiveContainerWidth = containerWidth;
-    let effectiveContainerHeight = containerHeight;
-    if (containerHeight === 0) {
-      effectiveContainerHeight = 600;
-    }
-
-    // We want the canvas drawing buffer to match the image resolution for clarity,
-    // but its display size should fit the container.
-    // Calculate the aspect ratios
+    // --- Canvas Sizing ---
+    // The drawing buffer matches the image resolution for clarity; the
+    // display size fits the container height (scrolling horizontally if
+    // necessary). Fall back to 600px if the container has no height yet.
+    const containerHeight = container.getBoundingClientRect().height || 600;
     const imageAspectRatio = floorPlanImage.width / floorPlanImage.height;
-
-    let displayWidth, displayHeight;
-
-    // Fit image to full container height to maximize space, allowing horizontal scrolling if necessary
-    displayHeight = effectiveContainerHeight;
-    displayWidth = effectiveContainerHeight * imageAspectRatio;
-
-    // Set the actual drawing buffer size (high resolution)
-    canvas.width = floorPlanImage.width;
-    canvas.height = floorPlanImage.height;
-
-    // Set the display size using CSS (scales the high-res buffer down)
-    canvas.style.width = `${displayWidth}px`;
-    canvas.style.height = `${displayHeight}px`;
-    // Center the canvas within the container using flex
+    fitCanvas(canvas, floorPlanImage.width, floorPlanImage.height);
+    canvas.style.width = `${containerHeight * imageAspectRatio}px`;
+    canvas.style.height = `${containerHeight}px`;
     canvas.style.display = "block";
-    //
-    // --- Drawing ---
-    // Clear canvas before drawing
+
+    // --- Layers ---
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Save context state before applying transformations
@@ -542,45 +2008,30 @@ const PharmIQHeatMap = () => {
     ctx.translate(pan.x, pan.y);
     ctx.scale(zoom, zoom);
 
-    // First, draw the floor plan image (transformed)
-    try {
-      ctx.drawImage(
-        floorPlanImage,
-        0,
-        0,
-        floorPlanImage.width,
-        floorPlanImage.height,
-      );
-    } catch (error) {
-      console.error("Error drawing image:", error);
+    ctx.drawImage(baseLayerRef.current, 0, 0);
+    if (heatmapReadyRef.current) {
+      // Draw the heatmap over the floor plan with transparency
+      ctx.globalAlpha = heatmapOpacity;
+      ctx.drawImage(heatmapLayerRef.current.canvas, 0, 0);
+      ctx.globalAlpha = 1.0; // Reset alpha
     }
 
-    // IMPORTANT: Make sure these conditions are true
-    console.log("Before heatmap check:", {
-      heatmapVisible,
-      departmentsLength: departments.length,
-      maxSales,
-    });
-
-    // Generate and draw the heatmap if enabled
-    if (heatmapVisible && departments.length > 0 && maxSales > 0) {
-      console.log("Attempting to generate heatmap");
-      const heatmapCanvas = generateHeatmap(canvas.width, canvas.height);
-      if (heatmapCanvas) {
-        console.log(
-          "Drawing heatmap to main canvas with opacity:",
-          heatmapOpacity,
-        );
-        // Draw the heatmap over the floor plan with transparency
-        ctx.globalAlpha = heatmapOpacity;
-        ctx.drawImage(heatmapCanvas, 0, 0);
-        ctx.globalAlpha = 1.0; // Reset alpha
-        console.log("Heatmap drawn successfully");
-      } else {
-        console.log("generateHeatmap returned null");
+    // --- Overlay ---
+    // Draw the snapping grid while drawing or editing
+    if ((mode === "draw" || mode === "edit") && snap.grid > 0) {
+      const { width, height } = floorPlanImage;
+      ctx.beginPath();
+      for (let x = 0; x <= width; x += snap.grid) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
       }
-    } else {
-      console.log("Skipping heatmap generation due to conditions not met");
+      for (let y = 0; y <= height; y += snap.grid) {
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+      }
+      ctx.strokeStyle = "rgba(15, 23, 42, 0.12)"; // Brand Navy, faint
+      ctx.lineWidth = 1 / zoom;
+      ctx.stroke();
     }
 
     // Draw department boundaries
@@ -588,6 +2039,9 @@ const PharmIQHeatMap = () => {
       if (!dept.coords || dept.coords.length < 3) return; // Skip if not enough coordinates
 
       const isSelected = selectedDepartment === deptIndex;
+      // Picked out in view mode: under the pointer or open in the detail panel
+      const isHighlighted =
+        mode === "view" && (dept.id === hover?.id || dept.id === detailDeptId);
 
       // Draw department outline
       ctx.beginPath();
@@ -600,8 +2054,10 @@ const PharmIQHeatMap = () => {
       // Draw outline
       ctx.strokeStyle = isSelected
         ? "rgba(255, 0, 0, 0.8)"
-        : "rgba(0, 0, 0, 0.6)";
-      ctx.lineWidth = isSelected ? 2 / zoom : 1 / zoom;
+        : isHighlighted
+          ? "#0F766E" // Brand Teal
+          : "rgba(0, 0, 0, 0.6)";
+      ctx.lineWidth = isSelected ? 2 / zoom : isHighlighted ? 3 / zoom : 1 / zoom;
       ctx.stroke();
 
       // Calculate centroid for label placement
@@ -624,9 +2080,9 @@ const PharmIQHeatMap = () => {
       ctx.strokeText(dept.name, centerX, centerY);
       ctx.fillText(dept.name, centerX, centerY);
 
-      // Draw sales value
-      if (salesData && dept.sales !== undefined) {
-        const salesText = `$${dept.sales.toLocaleString()}`;
+      // Draw the active metric's value
+      if (salesData) {
+        const salesText = formatValue(deptValues[dept.name]);
         const salesFontSize = Math.max(8, 12 / zoom);
         ctx.font = `${salesFontSize}px Arial`;
         ctx.strokeText(salesText, centerX, centerY + fontSize * 1.2);
@@ -634,37 +2090,191 @@ const PharmIQHeatMap = () => {
       }
     });
 
-    // Draw points and lines for the department being drawn
-    if (
-      mode === "draw" &&
-      selectedDepartment !== null &&
-      departments[selectedDepartment]
-    ) {
-      const dept = departments[selectedDepartment];
+    // Highlight geometry problems: overlaps in red, self-intersections with
+    // a red ring and slivers with a dashed red outline
+    layoutCheck.overlaps.forEach(({ regions }) =>
+      regions.forEach((region) => {
+        ctx.beginPath();
+        region.forEach((point, i) =>
+          i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y),
+        );
+        ctx.closePath();
+        ctx.fillStyle = "rgba(220, 38, 38, 0.35)";
+        ctx.fill();
+        ctx.strokeStyle = "rgba(220, 38, 38, 0.9)";
+        ctx.lineWidth = 1.5 / zoom;
+        ctx.stroke();
+      }),
+    );
+    layoutCheck.crossings.forEach((point) => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, (HANDLE_RADIUS * 2) / zoom, 0, Math.PI * 2);
+      ctx.strokeStyle = "rgba(220, 38, 38, 0.9)";
+      ctx.lineWidth = 2 / zoom;
+      ctx.stroke();
+    });
+    departments.forEach((dept) => {
+      if (!layoutCheck.issues[dept.id]?.some((issue) => issue.type === "sliver")) return;
+      ctx.beginPath();
+      dept.coords.forEach((point, i) =>
+        i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y),
+      );
+      ctx.closePath();
+      ctx.strokeStyle = "rgba(220, 38, 38, 0.9)";
+      ctx.lineWidth = 2 / zoom;
+      ctx.setLineDash([4 / zoom, 3 / zoom]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    });
+
+    // Draw points and lines for the department being drawn
+    if (
+      mode === "draw" &&
+      selectedDepartment !== null &&
+      departments[selectedDepartment]
+    ) {
+      const dept = departments[selectedDepartment];
+
+      // Draw lines connecting points
+      if (dept.coords.length > 1) {
+        ctx.beginPath();
+        ctx.moveTo(dept.coords[0].x, dept.coords[0].y);
+        for (let i = 1; i < dept.coords.length; i++) {
+          ctx.lineTo(dept.coords[i].x, dept.coords[i].y);
+        }
+        if (dept.coords.length >= 3) {
+          ctx.closePath();
+        }
+        ctx.strokeStyle = "#D97706"; // Brand Amber for mapping lines
+        ctx.lineWidth = 2 / zoom;
+        ctx.setLineDash([6 / zoom, 3 / zoom]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      // Draw points
+      dept.coords.forEach((point) => {
+        ctx.beginPath();
+        const pointRadius = HANDLE_RADIUS / zoom;
+        ctx.arc(point.x, point.y, pointRadius, 0, Math.PI * 2);
+        ctx.fillStyle = "#D97706"; // Brand Amber
+        ctx.fill();
+      });
+    }
+
+    // Draw the edit handles of the department being edited: vertices, with
+    // the picked one enlarged, and hollow handles halfway along each edge
+    if (
+      mode === "edit" &&
+      selectedDepartment !== null &&
+      departments[selectedDepartment]?.coords.length >= 3
+    ) {
+      const { coords } = departments[selectedDepartment];
+      ctx.lineWidth = 1.5 / zoom;
+      edgeMidpoints(coords).forEach((point) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, (HANDLE_RADIUS * 0.75) / zoom, 0, Math.PI * 2);
+        ctx.fillStyle = "#FFFFFF";
+        ctx.fill();
+        ctx.strokeStyle = "#D97706"; // Brand Amber
+        ctx.stroke();
+      });
+      coords.forEach((point, i) => {
+        const isPicked = i === selectedVertex;
+        ctx.beginPath();
+        ctx.arc(
+          point.x,
+          point.y,
+          (isPicked ? HANDLE_RADIUS * 1.5 : HANDLE_RADIUS) / zoom,
+          0,
+          Math.PI * 2,
+        );
+        ctx.fillStyle = "#D97706"; // Brand Amber
+        ctx.fill();
+        if (isPicked) {
+          ctx.strokeStyle = "rgba(15, 23, 42, 0.9)"; // Brand Navy
+          ctx.stroke();
+        }
+      });
+    }
+
+    // Draw the shape being dragged out, and where the next point would snap
+    if (shapeDraft) {
+      const outline =
+        shapeDraft.tool === "lasso"
+          ? shapeDraft.path
+          : shapeDraft.tool === "ellipse"
+            ? ellipsePoints(shapeDraft.start, shapeDraft.end)
+            : rectanglePoints(shapeDraft.start, shapeDraft.end);
+      ctx.beginPath();
+      outline.forEach((point, i) =>
+        i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y),
+      );
+      ctx.closePath();
+      ctx.fillStyle = "rgba(217, 119, 6, 0.15)"; // Brand Amber, light
+      ctx.fill();
+      ctx.strokeStyle = "#D97706"; // Brand Amber
+      ctx.lineWidth = 2 / zoom;
+      ctx.setLineDash([6 / zoom, 3 / zoom]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    if (mode === "draw" && snapTarget) {
+      ctx.beginPath();
+      const { point, target } = snapTarget;
+      ctx.arc(point.x, point.y, (HANDLE_RADIUS * 2) / zoom, 0, Math.PI * 2);
+      // Teal on another outline, faint navy on the grid
+      ctx.strokeStyle = target === "grid" ? "rgba(15, 23, 42, 0.5)" : "#0F766E";
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.stroke();
+    }
+
+    // Draw realignment reference pairs: amber = old layout, teal = new plan
+    if (mode === "align" && realign) {
+      const markerRadius = 6 / zoom;
+      const drawMarker = (point, color, label) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, markerRadius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.font = `bold ${Math.max(10, 12 / zoom)}px Inter, sans-serif`;
+        ctx.textAlign = "left";
+        ctx.fillText(label, point.x + markerRadius * 1.5, point.y - markerRadius);
+      };
+      realign.pairs.forEach((pair, index) => {
+        ctx.beginPath();
+        ctx.moveTo(pair.from.x, pair.from.y);
+        ctx.lineTo(pair.to.x, pair.to.y);
+        ctx.strokeStyle = "rgba(15, 23, 42, 0.6)";
+        ctx.lineWidth = 1 / zoom;
+        ctx.setLineDash([4 / zoom, 3 / zoom]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        drawMarker(pair.from, "#D97706", `${index + 1}`);
+        drawMarker(pair.to, "#0F766E", `${index + 1}'`);
+      });
+      if (realign.pendingFrom) {
+        drawMarker(realign.pendingFrom, "#D97706", `${realign.pairs.length + 1}`);
+      }
+    }
 
-      // Draw lines connecting points
-      if (dept.coords.length > 1) {
+    // Draw the calibration measuring line
+    if (mode === "calibrate" && calibrating) {
+      const [from, to] = calibrating.points;
+      if (from && to) {
         ctx.beginPath();
-        ctx.moveTo(dept.coords[0].x, dept.coords[0].y);
-        for (let i = 1; i < dept.coords.length; i++) {
-          ctx.lineTo(dept.coords[i].x, dept.coords[i].y);
-        }
-        if (dept.coords.length >= 3) {
-          ctx.closePath();
-        }
-        ctx.strokeStyle = "#D97706"; // Brand Amber for mapping lines
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.strokeStyle = "#D97706"; // Brand Amber
         ctx.lineWidth = 2 / zoom;
-        ctx.setLineDash([6 / zoom, 3 / zoom]);
+        ctx.setLineDash([6 / zoom, 4 / zoom]);
         ctx.stroke();
         ctx.setLineDash([]);
       }
-
-      // Draw points
-      dept.coords.forEach((point) => {
+      calibrating.points.forEach((point) => {
         ctx.beginPath();
-        const pointRadius = 4 / zoom;
-        ctx.arc(point.x, point.y, pointRadius, 0, Math.PI * 2);
-        ctx.fillStyle = "#D97706"; // Brand Amber
+        ctx.arc(point.x, point.y, 6 / zoom, 0, Math.PI * 2);
+        ctx.fillStyle = "#D97706";
         ctx.fill();
       });
     }
@@ -684,11 +2294,56 @@ const PharmIQHeatMap = () => {
       const drawingText =
         "PROFIT CENTER MAPPING: " +
         departments[selectedDepartment].name +
-        ". CLICK TO ADD ARCHITECTURE. (" +
+        (drawingTool === "points"
+          ? ". CLICK TO ADD ARCHITECTURE. ("
+          : drawingTool === "wand"
+            ? ". CLICK INSIDE A BAY TO OUTLINE IT. ("
+            : `. DRAG TO DRAW (${DRAWING_TOOLS[drawingTool].toUpperCase()}). (`) +
         departments[selectedDepartment].coords.length +
         " POINTS)";
       ctx.fillText(drawingText, 10, 25);
     }
+    if (
+      mode === "edit" &&
+      selectedDepartment !== null &&
+      departments[selectedDepartment]
+    ) {
+      ctx.fillStyle = "rgba(217, 119, 6, 0.9)"; // Brand Amber with high opacity
+      ctx.font = "bold 14px Inter, sans-serif";
+      ctx.textAlign = "left";
+      ctx.fillText(
+        `EDIT OUTLINE: ${departments[selectedDepartment].name}. DRAG POINTS TO RESHAPE • DRAG INSIDE TO MOVE`,
+        10,
+        25,
+      );
+    }
+    if (mode === "align" && realign) {
+      ctx.fillStyle = "rgba(217, 119, 6, 0.9)"; // Brand Amber with high opacity
+      ctx.font = "bold 14px Inter, sans-serif";
+      ctx.textAlign = "left";
+      const alignText = realign.pendingFrom
+        ? `REALIGN: CLICK THE MATCHING SPOT ON THE NEW PLAN (POINT ${realign.pairs.length + 1}')`
+        : `REALIGN: CLICK A REFERENCE SPOT ON THE OLD LAYOUT (POINT ${realign.pairs.length + 1})`;
+      ctx.fillText(alignText, 10, 25);
+    }
+    if (mode === "calibrate" && calibrating) {
+      ctx.fillStyle = "rgba(217, 119, 6, 0.9)"; // Brand Amber with high opacity
+      ctx.font = "bold 14px Inter, sans-serif";
+      ctx.textAlign = "left";
+      const calibrateText =
+        calibrating.points.length < 2
+          ? `CALIBRATE: CLICK ${calibrating.points.length === 0 ? "THE START" : "THE END"} OF A KNOWN DISTANCE`
+          : "CALIBRATE: ENTER THE REAL DISTANCE IN THE SIDEBAR";
+      ctx.fillText(calibrateText, 10, 25);
+    }
+    // Name the period on show, so it stays readable while the timeline
+    // plays, and what it is being compared with
+    if (canvasCaption) {
+      ctx.fillStyle = "rgba(15, 23, 42, 0.85)"; // Brand Navy
+      ctx.font = "bold 20px Inter, sans-serif";
+      ctx.textAlign = "right";
+      ctx.fillText(canvasCaption, canvas.width - 16, 32);
+    }
     if (mode === "view" && !isDragging) {
       ctx.fillStyle = "rgba(15, 23, 42, 0.7)"; // Brand Navy with opacity
       ctx.font = "bold 12px Inter, sans-serif";
@@ -696,25 +2351,35 @@ const PharmIQHeatMap = () => {
       const viewText = "COMMAND MODE: DRAG TO PAN • SCROLL TO ZOOM";
       ctx.fillText(viewText, 10, 25);
     }
-    // Cleanup function for the effect
-    return () => {
-      if (ctx && canvas) ctx.clearRect(0, 0, canvas.width, canvas.height);
-    };
   }, [
     floorPlanImage,
     departments,
     selectedDepartment,
-    heatmapVisible,
-    colorScale,
-    maxSales,
+    selectedVertex,
+    layoutCheck,
+    drawingTool,
+    snap,
+    shapeDraft,
+    snapTarget,
+    deptValues,
+    formatValue,
+    canvasCaption,
     mode,
+    realign,
+    calibrating,
     pan,
     zoom,
+    isDragging,
+    hover,
+    detailDeptId,
     salesData,
-    generateHeatmap,
     heatmapOpacity,
-    blurRadius,
-  ]); // Dependencies for the drawing effect
+  ]);
+
+  useEffect(() => {
+    drawFrameRef.current = drawFrame;
+    scheduleRender();
+  }, [drawFrame, scheduleRender]);
 
   return (
     <div className="flex flex-col h-full overflow-hidden font-body text-brand-navy">
@@ -734,6 +2399,15 @@ const PharmIQHeatMap = () => {
           </div>
           <div className="flex items-center gap-4">
              <span className="text-xs font-medium px-2 py-1 bg-brand-teal/10 text-brand-teal rounded-full uppercase tracking-wider">Infrastructure for Choice</span>
+             <ProjectPicker
+               activeProjectId={activeProjectId}
+               activeProjectName={projectName}
+               saveStatus={saveStatus}
+               onOpenProject={handleOpenStoredProject}
+               onNewProject={handleNewProject}
+               onActiveProjectRenamed={setProjectName}
+               onActiveProjectDeleted={resetProject}
+             />
           </div>
         </div>
       </header>
@@ -751,8 +2425,8 @@ const PharmIQHeatMap = () => {
               <li>
                 Upload your <strong>Sales Intelligence</strong> (Excel/XLSX)
                 <div className="mt-1 text-xs bg-brand-amber/5 text-brand-amber-dark p-2 rounded italic border-l-2 border-brand-amber">
-                  Column A: Department Name<br/>
-                  Column C: Normalized Performance Data ($)
+                  Any column layout: map the Department and Sales columns on
+                  import. Mappings are remembered per report type.
                 </div>
               </li>
               <li>
@@ -761,6 +2435,46 @@ const PharmIQHeatMap = () => {
             </ol>
           </div>
           
+          {/* Project File */}
+          <div className="space-y-2 p-3 bg-white rounded-lg border border-border-light">
+            <label className="block font-bold text-xs uppercase tracking-wide text-gray-600" htmlFor="projectName">
+              Store Project
+            </label>
+            <input
+              id="projectName"
+              type="text"
+              value={projectName}
+              onChange={(e) => setProjectName(e.target.value)}
+              placeholder="e.g. Eastside Pharmacy"
+              className="w-full p-2 border border-border-light rounded-md text-sm focus:ring-2 focus:ring-brand-teal/20 focus:border-brand-teal outline-none transition-all"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={handleSaveProject}
+                disabled={!floorPlanImage}
+                className="flex-1 px-3 py-1.5 bg-brand-teal text-white hover:bg-brand-teal-dark rounded-lg text-xs font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Save Project
+              </button>
+              <label
+                htmlFor="projectUpload"
+                className="flex-1 px-3 py-1.5 bg-brand-teal/10 text-brand-teal hover:bg-brand-teal/20 rounded-lg text-xs font-bold text-center cursor-pointer transition-colors"
+              >
+                Open Project
+              </label>
+              <input
+                id="projectUpload"
+                type="file"
+                accept={`${PROJECT_FILE_EXTENSION},.json,application/json`}
+                onChange={handleOpenProject}
+                className="hidden"
+              />
+            </div>
+            <p className="text-[10px] text-gray-400">
+              Saves the floor plan, mapped profit centers, sales data and view settings in one file.
+            </p>
+          </div>
+
           <div className="flex items-center justify-between mb-1">
             <h2 className="text-lg font-heading font-bold text-brand-navy">Operational Inputs</h2>
             <div className="flex items-center gap-1.5 px-1.5 py-0.5 bg-gray-200 rounded text-[10px] font-bold text-gray-500">
@@ -772,12 +2486,12 @@ const PharmIQHeatMap = () => {
           {/* Step 1: Upload Floor Plan */}
           <div className="space-y-1 p-3 bg-white rounded-lg border border-border-light">
             <label className="block font-bold text-xs uppercase tracking-wide text-gray-600" htmlFor="imageUpload">
-              1. Floor Plan (PNG/JPG)
+              1. Floor Plan (PNG/JPG/SVG/PDF/DXF)
             </label>
             <input
               id="imageUpload"
               type="file"
-              accept="image/png, image/jpeg"
+              accept="image/png, image/jpeg, image/svg+xml, .svg, application/pdf, .pdf, .dxf"
               onChange={handleImageUpload}
               className="w-full text-xs p-1 mt-2 file:mr-2 file:py-1 file:px-3 file:rounded file:border-0 file:text-xs file:font-semibold file:bg-brand-teal/10 file:text-brand-teal hover:file:bg-brand-teal/20"
             />
@@ -786,17 +2500,165 @@ const PharmIQHeatMap = () => {
                 <span className="w-2 h-2 bg-brand-teal rounded-full animate-pulse"></span> Infrastructure Synced
               </div>
             )}
+            {floorPlanImage && departments.length > 0 && (
+              <div className="text-[10px] text-gray-400">
+                Uploading a new plan replaces the image and keeps your mapped centers.
+              </div>
+            )}
+            {floorPlanImage && mode !== "calibrate" && (
+              <div className="flex items-center justify-between gap-2 pt-1">
+                <span className="text-[10px] text-gray-500 tabular-nums">
+                  {calibration
+                    ? `Scale: 1 ${lengthUnit} = ${(
+                        pixelsPerMetre(calibration) * LENGTH_UNITS[lengthUnit].toMetres
+                      ).toFixed(1)}px`
+                    : "Scale not calibrated"}
+                </span>
+                <div className="flex gap-1">
+                  <button
+                    onClick={startCalibration}
+                    disabled={mode !== "view"}
+                    className="px-2 py-1 bg-brand-teal/10 text-brand-teal hover:bg-brand-teal/20 rounded text-[10px] font-bold transition-colors disabled:opacity-50"
+                  >
+                    {calibration ? "Recalibrate" : "Calibrate Scale"}
+                  </button>
+                  {calibration && (
+                    <button
+                      onClick={clearCalibration}
+                      disabled={mode !== "view"}
+                      className="px-2 py-1 bg-white border border-border-light text-gray-500 hover:border-brand-teal/50 rounded text-[10px] font-bold transition-colors disabled:opacity-50"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
 
+          {/* Scale Calibration */}
+          {mode === "calibrate" && calibrating && (
+            <div className="p-3 bg-brand-amber/5 border-2 border-brand-amber rounded-lg space-y-2">
+              <h3 className="font-heading font-bold text-sm text-brand-amber-dark">
+                Calibrate Floor Plan Scale
+              </h3>
+              <p className="text-xs text-gray-600">
+                Click both ends of something with a known length, such as a
+                wall or aisle, then enter its real length. Traced department
+                areas are then measured automatically.
+              </p>
+              <label className="flex items-center gap-2 text-xs text-gray-600">
+                Real distance
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={calibrating.distance}
+                  onChange={(e) =>
+                    setCalibrating((prev) => ({ ...prev, distance: e.target.value }))
+                  }
+                  onKeyDown={(e) => e.key === "Enter" && applyCalibration()}
+                  disabled={calibrating.points.length < 2}
+                  className="w-20 p-1 border border-border-light rounded-md text-sm tabular-nums disabled:opacity-50"
+                />
+                {lengthUnit}
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={applyCalibration}
+                  disabled={calibrating.points.length < 2 || !calibrating.distance}
+                  className="px-3 py-1.5 bg-brand-teal text-white hover:bg-brand-teal-dark rounded-lg text-xs font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Apply Scale
+                </button>
+                <button
+                  onClick={cancelCalibration}
+                  className="px-3 py-1.5 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-xs font-bold transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Floor Plan Realignment */}
+          {mode === "align" && realign && (
+            <div className="p-3 bg-brand-amber/5 border-2 border-brand-amber rounded-lg space-y-2">
+              <h3 className="font-heading font-bold text-sm text-brand-amber-dark">
+                Realign Profit Centers
+              </h3>
+              <p className="text-xs text-gray-600">
+                The new plan is {floorPlanImage.width}×{floorPlanImage.height}px
+                (was {realign.previousImage.width}×
+                {realign.previousImage.height}px). Scale the layout to fit, or
+                click a spot on the old layout then the same spot on the new
+                plan, two or three times.
+              </p>
+              <p className="text-[10px] uppercase font-bold tracking-wider text-gray-500">
+                {realign.pairs.length} reference pair
+                {realign.pairs.length === 1 ? "" : "s"}
+                {realign.pendingFrom ? " • awaiting match" : ""}
+              </p>
+              <label className="flex items-center text-xs text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={realign.showPrevious}
+                  onChange={() =>
+                    setRealign((prev) => ({
+                      ...prev,
+                      showPrevious: !prev.showPrevious,
+                    }))
+                  }
+                  className="mr-2 accent-brand-teal"
+                />
+                Show previous plan underneath
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={realignByReferencePoints}
+                  disabled={realign.pairs.length < 2}
+                  className="px-3 py-1.5 bg-brand-teal text-white hover:bg-brand-teal-dark rounded-lg text-xs font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Apply Points
+                </button>
+                <button
+                  onClick={realignByScaling}
+                  className="px-3 py-1.5 bg-brand-teal/10 text-brand-teal hover:bg-brand-teal/20 rounded-lg text-xs font-bold transition-colors"
+                >
+                  Scale to Fit
+                </button>
+                <button
+                  onClick={() =>
+                    setRealign((prev) => ({
+                      ...prev,
+                      pairs: [],
+                      pendingFrom: null,
+                    }))
+                  }
+                  disabled={realign.pairs.length === 0 && !realign.pendingFrom}
+                  className="px-3 py-1.5 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-xs font-bold transition-colors disabled:opacity-50"
+                >
+                  Reset Points
+                </button>
+                <button
+                  onClick={finishRealign}
+                  className="px-3 py-1.5 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-xs font-bold transition-colors"
+                >
+                  Keep As Is
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Step 2: Upload Sales Data */}
           <div className="space-y-1 p-3 bg-white rounded-lg border border-border-light">
             <label className="block font-bold text-xs uppercase tracking-wide text-gray-600" htmlFor="excelUpload">
-              2. Sales Intelligence (XLSX)
+              2. Sales Intelligence (XLSX/ODS/CSV)
             </label>
             <input
               id="excelUpload"
               type="file"
-              accept=".xlsx,.xls"
+              accept={SUPPORTED_FILE_ACCEPT}
               onChange={handleExcelUpload}
               className="w-full text-xs p-1 mt-2 file:mr-2 file:py-1 file:px-3 file:rounded file:border-0 file:text-xs file:font-semibold file:bg-brand-teal/10 file:text-brand-teal hover:file:bg-brand-teal/20 disabled:opacity-50"
               disabled={!floorPlanImage}
@@ -808,9 +2670,98 @@ const PharmIQHeatMap = () => {
             )}
             {salesData && (
               <div className="text-xs text-brand-teal font-medium pt-1">
-                ✓ Data Source Connected ({Object.keys(salesData).length} centers)
+                ✓ Data Source Connected ({Object.keys(salesData).length} centers
+                {periods.length > 1 ? ` • ${periods.length} periods` : ""})
+              </div>
+            )}
+            {periods.length > 0 && (
+              <label className="flex items-center gap-2 text-[10px] text-gray-500">
+                Next import
+                <select
+                  value={importMode}
+                  onChange={(e) => setImportMode(e.target.value)}
+                  className="p-0.5 border border-border-light rounded text-[10px] bg-white"
+                >
+                  <option value="add">adds a period</option>
+                  <option value="replace">replaces all periods</option>
+                </select>
+              </label>
+            )}
+            {salesData && coverage.coverage !== null && (
+              <div className="flex items-center justify-between gap-2 text-[10px]">
+                <span
+                  className={
+                    "font-bold tabular-nums " +
+                    (coverage.coverage >= 0.999 ? "text-gray-500" : "text-brand-amber")
+                  }
+                >
+                  {(coverage.coverage * 100).toLocaleString(undefined, {
+                    maximumFractionDigits: 1,
+                  })}
+                  % of sales mapped to the plan
+                </span>
+                <span className="flex gap-2">
+                  {(coverage.notOnPlan.length > 0 ||
+                    Object.keys(aliases).length > 0) && (
+                    <button
+                      onClick={() =>
+                        setReconcile({
+                          suggestions: findNameSuggestions(
+                            periodDepartmentNames(periods),
+                          ),
+                          thenShowReport: false,
+                        })
+                      }
+                      className="text-brand-teal hover:underline font-bold"
+                    >
+                      Match names
+                    </button>
+                  )}
+                  {importReport && (
+                    <button
+                      onClick={() => setShowImportReport(true)}
+                      className="text-brand-teal hover:underline font-bold"
+                    >
+                      Import report
+                    </button>
+                  )}
+                </span>
+              </div>
+            )}
+            {floorPlanImage && (
+              <button
+                onClick={() => setShowPasteBox(!showPasteBox)}
+                className="block text-[10px] font-bold uppercase tracking-wider text-brand-teal hover:underline"
+              >
+                {showPasteBox ? "Hide paste box" : "Paste data instead"}
+              </button>
+            )}
+            {showPasteBox && (
+              <div className="space-y-2 pt-1">
+                <textarea
+                  value={pastedText}
+                  onChange={(e) => setPastedText(e.target.value)}
+                  placeholder="Copy rows from your report grid or spreadsheet (including the header row) and paste them here"
+                  rows={5}
+                  className="w-full p-2 border border-border-light rounded-md text-xs font-mono focus:ring-2 focus:ring-brand-teal/20 focus:border-brand-teal outline-none"
+                />
+                <button
+                  onClick={handlePasteImport}
+                  disabled={!pastedText.trim()}
+                  className="w-full px-3 py-1.5 bg-brand-teal text-white hover:bg-brand-teal-dark rounded-lg text-xs font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Import Pasted Data
+                </button>
               </div>
             )}
+            {lastImportSource && (
+              <button
+                onClick={() => setImportSource(lastImportSource)}
+                className="text-[10px] font-bold uppercase tracking-wider text-brand-teal hover:underline"
+              >
+                Adjust column mapping
+              </button>
+            )}
           </div>
 
           {/* Step 3: Define Department Areas */}
@@ -821,7 +2772,7 @@ const PharmIQHeatMap = () => {
             <button
               onClick={showDepartmentSelector}
               className="w-full primary-btn text-sm disabled:opacity-50 disabled:cursor-not-allowed"
-              disabled={!floorPlanImage || mode === "draw"}
+              disabled={!floorPlanImage || mode !== "view"}
             >
               {mode === "draw"
                 ? "Active Mapping Session..."
@@ -896,11 +2847,72 @@ const PharmIQHeatMap = () => {
                   <h3 className="font-semibold text-sm text-red-700">
                     Drawing: {departments[selectedDepartment].name}
                   </h3>
+                  <div className="grid grid-cols-2 gap-1">
+                    {Object.entries(DRAWING_TOOLS).map(([key, label]) => (
+                      <button
+                        key={key}
+                        onClick={() => setDrawingTool(key)}
+                        className={
+                          "px-2 py-1 rounded text-xs font-bold border transition-colors " +
+                          (drawingTool === key
+                            ? "bg-brand-teal text-white border-brand-teal"
+                            : "bg-white text-brand-navy border-border-light hover:border-brand-teal")
+                        }
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                   <p className="text-xs text-red-800">
-                    Click on the floor plan to add points (
-                    {departments[selectedDepartment].coords.length} added). Need
+                    {drawingTool === "points"
+                      ? "Click on the floor plan to add points"
+                      : drawingTool === "wand"
+                        ? "Click inside a bay to outline it from the floor plan image. Shift-click adds another area, Alt-click cuts one out"
+                        : drawingTool === "lasso"
+                        ? "Drag around the area to trace it freehand; the outline is simplified when you let go"
+                        : `Drag across the floor plan to draw a ${DRAWING_TOOLS[drawingTool].toLowerCase()}; it replaces the outline`}{" "}
+                    ({departments[selectedDepartment].coords.length} points). Need
                     at least 3 points.
                   </p>
+                  {drawingTool === "wand" ? (
+                    <div className="space-y-2">
+                      <div className="grid grid-cols-3 gap-1">
+                        {Object.entries(WAND_MODES).map(([key, label]) => (
+                          <button
+                            key={key}
+                            onClick={() => setWandMode(key)}
+                            className={
+                              "px-2 py-1 rounded text-xs font-bold border transition-colors " +
+                              (wandMode === key
+                                ? "bg-brand-navy text-white border-brand-navy"
+                                : "bg-white text-brand-navy border-border-light hover:border-brand-navy")
+                            }
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="space-y-1">
+                        <div className="flex justify-between text-[10px] uppercase font-bold tracking-widest text-gray-500">
+                          <span>Tolerance</span>
+                          <span className="tabular-nums">{wandTolerance}</span>
+                        </div>
+                        <input
+                          type="range"
+                          min="0"
+                          max={MAX_WAND_TOLERANCE}
+                          value={wandTolerance}
+                          onChange={(e) => setWandTolerance(Number(e.target.value))}
+                          className="w-full accent-brand-teal"
+                        />
+                        <p className="text-[10px] text-gray-500">
+                          Higher values spread over shading and textures; lower values stop at faint walls.
+                        </p>
+                      </div>
+                    </div>
+                  ) : (
+                    <SnapControls snap={snap} onChange={updateSnap} />
+                  )}
                   <div className="flex space-x-2">
                     <button
                       onClick={finishDrawing}
@@ -926,7 +2938,40 @@ const PharmIQHeatMap = () => {
                   </div>
                 </div>
               )}
-          </div>
+
+          {/* Outline Editing Controls */}
+            {mode === "edit" &&
+              selectedDepartment !== null &&
+              departments[selectedDepartment] && (
+                <div className="mt-2 p-3 bg-brand-amber/10 border-2 border-brand-amber rounded shadow space-y-2">
+                  <h3 className="font-semibold text-sm text-brand-navy">
+                    Editing: {departments[selectedDepartment].name}
+                  </h3>
+                  <ul className="text-xs text-gray-700 list-disc pl-4 space-y-0.5">
+                    <li>Drag a point to move it</li>
+                    <li>Click or drag a hollow edge handle to add a point</li>
+                    <li>Double-click a point, or click it and press Delete, to remove it</li>
+                    <li>Drag inside the outline to move the whole area</li>
+                    <li>Click another area to edit it instead</li>
+                  </ul>
+                  <SnapControls snap={snap} onChange={updateSnap} />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={finishEditing}
+                      className="flex-1 border border-gray-600 bg-green-500 hover:bg-green-600 text-black px-3 py-1 rounded text-sm"
+                    >
+                      Done
+                    </button>
+                    <button
+                      onClick={() => deleteVertex(selectedVertex)}
+                      disabled={selectedVertex === null}
+                      className="flex-1 border border-gray-600 bg-yellow-500 hover:bg-yellow-600 text-black px-3 py-1 rounded text-sm disabled:bg-gray-300 disabled:cursor-not-allowed"
+                    >
+                      Delete Point
+                    </button>
+                  </div>
+                </div>
+              )}
 
           {/* View Options */}
           <div className="space-y-4 pt-4 border-t border-border-light">
@@ -934,37 +2979,435 @@ const PharmIQHeatMap = () => {
               <input
                 type="checkbox"
                 checked={heatmapVisible}
-                onChange={() => setHeatmapVisible(!heatmapVisible)}
+                onChange={() => {
+                  recordHistory(
+                    heatmapVisible ? "Hide heatmap" : "Show heatmap",
+                  );
+                  setHeatmapVisible(!heatmapVisible);
+                }}
                 className="mr-3 h-5 w-5 rounded border-border-light text-brand-teal focus:ring-brand-teal/30"
-                disabled={!salesData || maxSales <= 0}
+                disabled={!salesData || !classifier}
               />
               <span className="text-sm font-heading font-bold text-brand-navy group-hover:text-brand-teal transition-colors">
                 Performance Visualization
               </span>
             </label>
-            {(!salesData || maxSales <= 0) && (
+            {(!salesData || !classifier) && (
               <div className="text-[10px] text-gray-400 pl-8">
-                Connect data source to enable visualization.
+                {salesData
+                  ? `No positive ${activeMetricDefinition.name} values to visualize.`
+                  : "Connect data source to enable visualization."}
+              </div>
+            )}
+
+            {/* Period Timeline */}
+            {periods.length > 1 && (
+              <div className="space-y-2 p-3 bg-white rounded-xl border border-border-light shadow-sm">
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setIsPlaying(!isPlaying)}
+                    className="w-8 h-8 flex items-center justify-center rounded-full bg-brand-teal text-white hover:bg-brand-teal-dark transition-colors"
+                    title={isPlaying ? "Pause" : "Play through the periods"}
+                  >
+                    {isPlaying ? "❚❚" : "▶"}
+                  </button>
+                  <input
+                    type="range"
+                    min="0"
+                    max={periods.length - 1}
+                    value={Math.min(activePeriod, periods.length - 1)}
+                    onChange={(e) => {
+                      setIsPlaying(false);
+                      setActivePeriod(parseInt(e.target.value));
+                    }}
+                    className="flex-1 accent-brand-teal"
+                  />
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={currentPeriod.label}
+                    onChange={(e) => renameActivePeriod(e.target.value)}
+                    className="flex-1 min-w-0 p-1 border border-border-light rounded-md text-sm font-bold text-brand-navy"
+                    title="Period name"
+                  />
+                  <span className="text-[10px] text-gray-400 tabular-nums">
+                    {Math.min(activePeriod, periods.length - 1) + 1} / {periods.length}
+                  </span>
+                  <button
+                    onClick={removeActivePeriod}
+                    className="px-2 py-1 bg-white border border-border-light text-gray-500 hover:border-red-300 hover:text-red-500 rounded text-[10px] font-bold transition-colors"
+                  >
+                    Remove
+                  </button>
+                </div>
+                <label className="flex items-center text-xs text-gray-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={fixedDomain}
+                    onChange={() => setFixedDomain(!fixedDomain)}
+                    className="mr-2 accent-brand-teal"
+                  />
+                  Same colour scale for every period
+                </label>
+              </div>
+            )}
+
+            {/* Metric Switcher */}
+            {salesData && (
+              <div className="grid grid-cols-3 gap-2">
+                <label className="col-span-2 block">
+                  <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                    Metric
+                  </span>
+                  <select
+                    value={activeMetric}
+                    onChange={(e) => {
+                      const next = availableMetrics.find(
+                        (metric) => metric.key === e.target.value,
+                      );
+                      recordHistory(`Show ${next.name}`);
+                      setActiveMetric(next.key);
+                    }}
+                    className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                  >
+                    {availableMetrics.map((metric) => (
+                      <option key={metric.key} value={metric.key}>
+                        {metric.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                    Format
+                  </span>
+                  <select
+                    value={activeFormat}
+                    onChange={(e) => {
+                      recordHistory(`Format ${activeMetricDefinition.name}`);
+                      setMetrics((prev) =>
+                        prev.map((metric) =>
+                          metric.name === activeMetric
+                            ? { ...metric, format: e.target.value }
+                            : metric,
+                        ),
+                      );
+                    }}
+                    disabled={activeMetric === SALES_METRIC}
+                    className="w-full p-2 border border-border-light rounded-md text-sm bg-white disabled:opacity-50"
+                  >
+                    {Object.entries(METRIC_FORMATS).map(([format, label]) => (
+                      <option key={format} value={format}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            )}
+
+            {/* Comparison */}
+            {salesData && comparisonOptions.length > 0 && (
+              <div className="space-y-2">
+                <label className="flex items-center text-xs text-gray-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!!activeComparison}
+                    onChange={() => {
+                      recordHistory(activeComparison ? "Stop comparing" : "Compare");
+                      setComparison(
+                        activeComparison
+                          ? null
+                          : {
+                              baseline: defaultBaseline(
+                                comparisonOptions,
+                                periods,
+                                currentPeriod.id,
+                              ),
+                              change: comparison?.change ?? "percent",
+                            },
+                      );
+                    }}
+                    className="mr-2 accent-brand-teal"
+                  />
+                  Compare with another period or column
+                </label>
+                {activeComparison && (
+                  <div className="grid grid-cols-3 gap-2">
+                    <label className="col-span-2 block">
+                      <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                        Baseline
+                      </span>
+                      <select
+                        value={activeComparison.baseline}
+                        onChange={(e) => {
+                          recordHistory("Change comparison baseline");
+                          setComparison({ ...activeComparison, baseline: e.target.value });
+                        }}
+                        className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                      >
+                        {comparisonOptions.map((option) => (
+                          <option key={option.key} value={option.key}>
+                            {option.key.startsWith("period:") ? `Period: ${option.label}` : option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block">
+                      <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                        Show
+                      </span>
+                      <select
+                        value={activeComparison.change}
+                        onChange={(e) => {
+                          recordHistory(`Show ${CHANGE_TYPES[e.target.value].toLowerCase()}`);
+                          setComparison({ ...activeComparison, change: e.target.value });
+                        }}
+                        className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                      >
+                        {Object.entries(CHANGE_TYPES).map(([key, label]) => (
+                          <option key={key} value={key}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Normalisation */}
+            {salesData && (
+              <div className="grid grid-cols-3 gap-2">
+                <label className="col-span-2 block">
+                  <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                    Normalise
+                  </span>
+                  <select
+                    value={normalization}
+                    onChange={(e) => {
+                      recordHistory(
+                        `Normalise ${NORMALIZATIONS[e.target.value].label.toLowerCase()}`,
+                      );
+                      setNormalization(e.target.value);
+                    }}
+                    className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                  >
+                    {Object.entries(NORMALIZATIONS).map(([key, { label }]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                    Area Unit
+                  </span>
+                  <select
+                    value={areaUnit}
+                    onChange={(e) => setAreaUnit(e.target.value)}
+                    className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                  >
+                    {Object.entries(AREA_UNITS).map(([unit, { label }]) => (
+                      <option key={unit} value={unit}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {departmentsWithoutSpace > 0 && (
+                  <p className="col-span-3 text-[10px] text-brand-amber font-medium">
+                    {departmentsWithoutSpace} department
+                    {departmentsWithoutSpace === 1 ? " has" : "s have"} no{" "}
+                    {normalization === "perBay" ? "bay count" : "area"} and{" "}
+                    {departmentsWithoutSpace === 1 ? "is" : "are"} left off the
+                    heatmap. Enter it in the list below or import it
+                    {normalization !== "perBay" && !calibration
+                      ? ", or calibrate the floor plan scale"
+                      : ""}
+                    .
+                  </p>
+                )}
               </div>
             )}
 
             {/* Heatmap Advanced Options */}
-            {heatmapVisible && salesData && maxSales > 0 && (
+            {heatmapVisible && salesData && classifier && (
               <div className="space-y-4 mt-2 p-4 bg-white rounded-xl border border-border-light shadow-sm">
+                <label className="block">
+                  <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                    Style
+                  </span>
+                  <select
+                    value={heatmapStyle}
+                    onChange={(e) => {
+                      recordHistory(`Show ${HEATMAP_STYLES[e.target.value].toLowerCase()}`);
+                      setHeatmapStyle(e.target.value);
+                    }}
+                    className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                  >
+                    {Object.entries(HEATMAP_STYLES).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="block">
+                  <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                    {activeComparison ? "Change Colours" : "Colours"}
+                  </span>
+                  <select
+                    value={activeComparison ? divergingPalette : palette}
+                    onChange={(e) => {
+                      recordHistory("Change colours");
+                      if (activeComparison) setDivergingPalette(e.target.value);
+                      else setPalette(e.target.value);
+                    }}
+                    className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                  >
+                    {groupPalettes(activeComparison ? DIVERGING_PALETTES : PALETTES).map(
+                      ([group, entries]) => (
+                        <optgroup key={group} label={group}>
+                          {entries.map(([key, { label }]) => (
+                            <option key={key} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ),
+                    )}
+                  </select>
+                </label>
+
+                <div className="grid grid-cols-3 gap-2">
+                  <label className={isClassed(scaleType) ? "block" : "col-span-2 block"}>
+                    <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                      Scale
+                    </span>
+                    <select
+                      value={scaleType}
+                      onChange={(e) => {
+                        recordHistory(`Use ${SCALE_TYPES[e.target.value].toLowerCase()} scale`);
+                        setScaleType(e.target.value);
+                      }}
+                      className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                    >
+                      {Object.entries(SCALE_TYPES).map(([key, label]) => (
+                        <option key={key} value={key}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {isClassed(scaleType) && (
+                    <label className="block">
+                      <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                        Classes
+                      </span>
+                      <select
+                        value={classCount}
+                        onChange={(e) => {
+                          recordHistory("Change number of classes");
+                          setClassCount(Number(e.target.value));
+                        }}
+                        className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                      >
+                        {CLASS_COUNTS.map((count) => (
+                          <option key={count} value={count}>
+                            {count}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  <label className="block">
+                    <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-1">
+                      Clip
+                    </span>
+                    <select
+                      value={clipPercent}
+                      onChange={(e) => {
+                        recordHistory("Change outlier clipping");
+                        setClipPercent(Number(e.target.value));
+                      }}
+                      className="w-full p-2 border border-border-light rounded-md text-sm bg-white"
+                      title="Treat values beyond this percentile at each end as outliers"
+                    >
+                      {CLIP_PERCENTS.map((percent) => (
+                        <option key={percent} value={percent}>
+                          {percent ? `${percent}%` : "Off"}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
                 <div>
                   <label className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-2">
-                    Diffusion Radius: {blurRadius}px
+                    Contrast Curve: {gamma.toFixed(2)}
                   </label>
                   <input
                     type="range"
-                    min="5"
-                    max="100"
-                    value={blurRadius}
-                    onChange={(e) => setBlurRadius(parseInt(e.target.value))}
+                    min="0.1"
+                    max="3"
+                    step="0.05"
+                    value={gamma}
+                    onChange={(e) => {
+                      recordHistory("Change contrast curve", { coalesceKey: "gamma" });
+                      setGamma(parseFloat(e.target.value));
+                    }}
+                    className="w-full accent-brand-teal"
+                  />
+                  <p className="text-[10px] text-gray-400">
+                    Below 1 lifts low values; 1 is linear; above 1 makes only the top performers stand out.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-2">
+                    Minimum Intensity: {Math.round(minIntensity * 100)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="90"
+                    value={minIntensity * 100}
+                    onChange={(e) => {
+                      recordHistory("Change minimum intensity", {
+                        coalesceKey: "minIntensity",
+                      });
+                      setMinIntensity(parseInt(e.target.value) / 100);
+                    }}
                     className="w-full accent-brand-teal"
                   />
                 </div>
 
+                {heatmapStyle === "glow" && (
+                  <div>
+                    <label className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-2">
+                      Diffusion Radius: {blurRadius}px
+                    </label>
+                    <input
+                      type="range"
+                      min="5"
+                      max="100"
+                      value={blurRadius}
+                      onChange={(e) => {
+                        recordHistory("Change diffusion radius", {
+                          coalesceKey: "blurRadius",
+                        });
+                        setBlurRadius(parseInt(e.target.value));
+                      }}
+                      className="w-full accent-brand-teal"
+                    />
+                  </div>
+                )}
+
                 <div>
                   <label className="text-[10px] uppercase font-bold tracking-widest text-gray-500 block mb-2">
                     Data Intensity: {Math.round(heatmapOpacity * 100)}%
@@ -974,9 +3417,12 @@ const PharmIQHeatMap = () => {
                     min="10"
                     max="100"
                     value={heatmapOpacity * 100}
-                    onChange={(e) =>
-                      setHeatmapOpacity(parseInt(e.target.value) / 100)
-                    }
+                    onChange={(e) => {
+                      recordHistory("Change data intensity", {
+                        coalesceKey: "heatmapOpacity",
+                      });
+                      setHeatmapOpacity(parseInt(e.target.value) / 100);
+                    }}
                     className="w-full accent-brand-teal"
                   />
                 </div>
@@ -984,27 +3430,18 @@ const PharmIQHeatMap = () => {
             )}
 
             {/* Color Legend */}
-            {salesData && maxSales > 0 && heatmapVisible && (
-              <div className="pt-2">
-                <h4 className="text-[10px] uppercase font-bold tracking-widest text-gray-500 mb-3">Performance Legend</h4>
-                <div
-                  className="h-3 w-full rounded-full border border-border-light shadow-inner"
-                  style={{
-                    background:
-                      "linear-gradient(to right, #F8FAFC, #0F766E, #D97706)",
-                  }}
-                ></div>
-                <div className="flex justify-between text-[10px] mt-2 text-brand-navy font-bold tabular-nums px-0.5">
-                  <span className="text-gray-400">Baseline</span>
-                  <span className="text-brand-teal">Target</span>
-                  <span className="text-brand-amber">Top Tier</span>
-                </div>
-                <div className="flex justify-between text-[11px] mt-1 text-gray-500 tabular-nums px-0.5">
-                  <span>$0</span>
-                  <span>${Math.round(maxSales / 2).toLocaleString()}</span>
-                  <span>${maxSales.toLocaleString()}</span>
-                </div>
-              </div>
+            {salesData && classifier && heatmapVisible && (
+              <ColorLegend
+                title={`${activeComparison ? "Change Legend" : "Performance Legend"} • ${
+                  activeMetricDefinition.name
+                }${comparisonLabel ? ` vs ${comparisonLabel}` : ""}`}
+                colorScale={activeScale}
+                classifier={classifier}
+                comparison={!!activeComparison}
+                gamma={gamma}
+                minIntensity={minIntensity}
+                formatValue={formatValue}
+              />
             )}
           </div>
 
@@ -1012,7 +3449,34 @@ const PharmIQHeatMap = () => {
           <div className="space-y-3 border-t border-border-light pt-6">
             <h3 className="font-heading font-bold text-sm text-brand-navy flex items-center justify-between">
               <span>Departmental Profit Centers</span>
-              <span className="text-xs px-2 py-0.5 bg-gray-200 rounded-full font-mono">{departments.length}</span>
+              <span className="flex items-center gap-2">
+                {departments.length > 1 && (
+                  <select
+                    value={deptSort}
+                    onChange={(e) => setDeptSort(e.target.value)}
+                    className="p-1 border border-border-light rounded-md text-[10px] font-normal bg-white"
+                    title="Sort departments"
+                  >
+                    <option value="plan">Plan order</option>
+                    <option value="high" disabled={!salesData}>
+                      {activeComparison ? "Biggest gains" : "Highest first"}
+                    </option>
+                    <option value="low" disabled={!salesData}>
+                      {activeComparison ? "Biggest losses" : "Lowest first"}
+                    </option>
+                    <option value="name">A–Z</option>
+                  </select>
+                )}
+                {layoutCheck.count > 0 && (
+                  <span
+                    className="text-xs px-2 py-0.5 bg-red-50 text-red-700 rounded-full font-mono"
+                    title="Departments with geometry warnings"
+                  >
+                    ⚠ {layoutCheck.count}
+                  </span>
+                )}
+                <span className="text-xs px-2 py-0.5 bg-gray-200 rounded-full font-mono">{departments.length}</span>
+              </span>
             </h3>
             <div className="max-h-72 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
               {departments.length === 0 ? (
@@ -1022,7 +3486,7 @@ const PharmIQHeatMap = () => {
                   </p>
                 </div>
               ) : (
-                departments.map((dept, index) => (
+                listedDepartments.map(({ dept, index }) => (
                   <div
                     key={dept.id}
                     className={
@@ -1035,12 +3499,95 @@ const PharmIQHeatMap = () => {
                     <div className="flex-1 mr-3 min-w-0">
                       <div className="flex items-center gap-2">
                          <span className="font-bold text-sm text-brand-navy truncate">{dept.name}</span>
-                         {salesData && dept.sales !== undefined && (
-                           <span className="text-[10px] font-bold text-brand-teal tabular-nums px-1.5 py-0.5 bg-brand-teal/5 rounded">
-                             ${dept.sales.toLocaleString()}
+                         {salesData && (
+                           <span
+                             className={
+                               "text-[10px] font-bold tabular-nums px-1.5 py-0.5 rounded " +
+                               (activeComparison && deptValues[dept.name] < 0
+                                 ? "text-red-700 bg-red-50"
+                                 : "text-brand-teal bg-brand-teal/5")
+                             }
+                           >
+                             {formatValue(deptValues[dept.name])}
                            </span>
                          )}
                       </div>
+                      {metrics.length > 0 && salesData && (
+                        <div className="text-[10px] text-gray-500 mt-1 tabular-nums truncate">
+                          {availableMetrics
+                            .filter((metric) => metric.key !== activeMetric)
+                            .map(
+                              (metric) =>
+                                `${metric.name}: ${formatMetricValue(
+                                  metricValue(metric.key, dept.name, salesData, metricData),
+                                  metric.format,
+                                )}`,
+                            )
+                            .join(" • ")}
+                        </div>
+                      )}
+                      <div className="flex items-center gap-2 mt-1 text-[10px] text-gray-500">
+                        <label className="flex items-center gap-1">
+                          Area
+                          <input
+                            key={`${areaUnit}-${dept.area}`}
+                            type="number"
+                            min="0"
+                            step="any"
+                            defaultValue={
+                              dept.area
+                                ? +fromSquareMetres(dept.area, areaUnit).toFixed(2)
+                                : ""
+                            }
+                            placeholder={
+                              spaceData[dept.name]?.area
+                                ? String(
+                                    +fromSquareMetres(
+                                      spaceData[dept.name].area,
+                                      areaUnit,
+                                    ).toFixed(2),
+                                  )
+                                : "–"
+                            }
+                            onBlur={(e) =>
+                              e.target.value !== e.target.defaultValue &&
+                              updateDepartmentSpace(index, "area", e.target.value)
+                            }
+                            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                            className="w-16 px-1 py-0.5 border border-border-light rounded tabular-nums"
+                          />
+                          {AREA_UNITS[areaUnit].label}
+                        </label>
+                        <label className="flex items-center gap-1">
+                          Bays
+                          <input
+                            key={`bays-${dept.bayCount}`}
+                            type="number"
+                            min="0"
+                            step="any"
+                            defaultValue={dept.bayCount ?? ""}
+                            placeholder={
+                              spaceData[dept.name]?.bayCount
+                                ? String(spaceData[dept.name].bayCount)
+                                : "–"
+                            }
+                            onBlur={(e) =>
+                              e.target.value !== e.target.defaultValue &&
+                              updateDepartmentSpace(index, "bayCount", e.target.value)
+                            }
+                            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                            className="w-12 px-1 py-0.5 border border-border-light rounded tabular-nums"
+                          />
+                        </label>
+                        {calibration && dept.coords.length >= 3 && (
+                          <span
+                            className="tabular-nums text-gray-400"
+                            title="Area measured from the traced outline"
+                          >
+                            ≈ {formatArea(tracedArea(dept.coords, calibration))}
+                          </span>
+                        )}
+                      </div>
                       <div className="text-[10px] text-gray-400 mt-1 uppercase tracking-wider font-medium">
                         {dept.coords.length} Data Points
                         {dept.coords.length >= 3
@@ -1049,6 +3596,26 @@ const PharmIQHeatMap = () => {
                             ? " • Incomplete Mapping"
                             : " • Awaiting Geometry"}
                       </div>
+                      {layoutCheck.issues[dept.id] && (
+                        <div className="mt-1.5 space-y-0.5">
+                          {layoutCheck.issues[dept.id].map((issue, i) => (
+                            <div key={i} className="text-[10px] text-red-700 flex items-start gap-1">
+                              <span aria-hidden="true">⚠</span>
+                              <span>{describeIssue(issue)}</span>
+                            </div>
+                          ))}
+                          {layoutCheck.issues[dept.id].some((issue) => issue.type === "overlap") && (
+                            <button
+                              onClick={() => clipDepartment(index)}
+                              disabled={mode !== "view"}
+                              className="text-[10px] font-bold text-red-700 underline hover:text-red-900 disabled:opacity-40"
+                              title="Cut away the parts of this department that its neighbours cover"
+                            >
+                              Fix overlap by clipping
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </div>
                     <div className="flex gap-1.5 opacity-0 group-hover:opacity-100 transition-opacity">
                       <button
@@ -1063,10 +3630,23 @@ const PharmIQHeatMap = () => {
                             ? "bg-brand-amber text-white"
                             : "bg-brand-teal/10 text-brand-teal hover:bg-brand-teal hover:text-white")
                         }
-                        disabled={mode === "draw"}
+                        disabled={mode !== "view"}
                       >
                          <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M12 3H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.375 2.625a2.121 2.121 0 1 1 3 3L12 15l-4 1 1-4Z"></path></svg>
                       </button>
+                      <button
+                        onClick={() => startEditing(index)}
+                        title="Edit outline"
+                        className={
+                          "p-2 rounded-lg transition-colors disabled:opacity-40 " +
+                          (selectedDepartment === index && mode === "edit"
+                            ? "bg-brand-amber text-white"
+                            : "bg-brand-teal/10 text-brand-teal hover:bg-brand-teal hover:text-white")
+                        }
+                        disabled={mode !== "view" || dept.coords.length < 3}
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><circle cx="19" cy="5" r="2"></circle><circle cx="5" cy="19" r="2"></circle><path d="M5 17A12 12 0 0 1 17 5"></path></svg>
+                      </button>
                       <button
                         onClick={() => {
                           if (
@@ -1079,7 +3659,7 @@ const PharmIQHeatMap = () => {
                             deleteDepartment(index);
                         }}
                         className="p-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-600 hover:text-white transition-colors border border-red-100"
-                        disabled={mode === "draw"}
+                        disabled={mode !== "view"}
                       >
                         <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"><path d="M3 6h18"></path><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"></path><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"></path><line x1="10" x2="10" y1="11" y2="17"></line><line x1="14" x2="14" y1="11" y2="17"></line></svg>
                       </button>
@@ -1108,10 +3688,11 @@ const PharmIQHeatMap = () => {
               <canvas
                 ref={canvasRef}
                 onClick={handleCanvasClick}
+                onDoubleClick={handleCanvasDoubleClick}
                 onMouseDown={handleMouseDown}
                 onMouseMove={handleMouseMove}
                 onMouseUp={handleMouseUpOrLeave}
-                onMouseLeave={handleMouseUpOrLeave}
+                onMouseLeave={handleMouseLeave}
                 onWheel={handleWheel}
                 style={{
                   cursor:
@@ -1119,7 +3700,9 @@ const PharmIQHeatMap = () => {
                       ? "crosshair"
                       : isDragging
                         ? "grabbing"
-                        : "grab",
+                        : mode === "edit"
+                          ? editCursor
+                          : "grab",
                 }}
               />
             </div>
@@ -1135,6 +3718,119 @@ const PharmIQHeatMap = () => {
             </div>
           )}
 
+          {/* Department Tooltip and Detail Panel */}
+          {mode === "view" && hoveredDepartment && !isDragging && (
+            <DepartmentTooltip
+              summary={departmentSummary(hoveredDepartment)}
+              metricName={activeValueName}
+              x={hover.x}
+              y={hover.y}
+            />
+          )}
+          {mode === "view" && detailDepartment && (
+            <DepartmentPanel
+              summary={departmentSummary(detailDepartment)}
+              metricName={activeValueName}
+              metricRows={availableMetrics.map((metric) => ({
+                label: metric.name,
+                value: formatMetricValue(
+                  metricValue(metric.key, detailDepartment.name, salesData, metricData),
+                  metric.format,
+                ),
+                highlight: metric.key === activeMetric,
+              }))}
+              spaceRows={[
+                {
+                  label: "Floor area",
+                  value: deptSpace[detailDepartment.name]?.area
+                    ? formatArea(deptSpace[detailDepartment.name].area)
+                    : "–",
+                },
+                {
+                  label: "Bays",
+                  value: String(deptSpace[detailDepartment.name]?.bayCount ?? "–"),
+                },
+                ...(calibration && detailDepartment.coords.length >= 3
+                  ? [
+                      {
+                        label: "Traced area",
+                        value: formatArea(tracedArea(detailDepartment.coords, calibration)),
+                      },
+                    ]
+                  : []),
+              ]}
+              periodRows={
+                periods.length > 1
+                  ? periods.map((period) => ({
+                      label: period.label,
+                      value: formatValue(valuesForPeriod(period)[detailDepartment.name]),
+                      highlight: period === currentPeriod,
+                    }))
+                  : []
+              }
+              onClose={() => setDetailDeptId(null)}
+            />
+          )}
+
+          {/* Undo / Redo Toolbar Overlay */}
+          {floorPlanImage && (
+            <div className="absolute bottom-6 left-6 p-1.5 glass-card flex items-center space-x-2">
+              <button
+                onClick={undo}
+                disabled={!history.canUndo}
+                className="w-8 h-8 flex items-center justify-center bg-white hover:bg-brand-teal/10 text-brand-teal rounded-lg font-bold transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title={
+                  history.canUndo
+                    ? `Undo: ${history.undoLabel} (Ctrl+Z)`
+                    : "Nothing to undo"
+                }
+              >
+                ↶
+              </button>
+              <button
+                onClick={redo}
+                disabled={!history.canRedo}
+                className="w-8 h-8 flex items-center justify-center bg-white hover:bg-brand-teal/10 text-brand-teal rounded-lg font-bold transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title={
+                  history.canRedo
+                    ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)`
+                    : "Nothing to redo"
+                }
+              >
+                ↷
+              </button>
+              {(history.canUndo || history.canRedo) && (
+                <details className="relative">
+                  <summary className="list-none cursor-pointer px-2 py-1 text-xs font-bold text-brand-navy max-w-56 truncate">
+                    {history.canUndo
+                      ? `Undo: ${history.undoLabel}`
+                      : `Redo: ${history.redoLabel}`}
+                  </summary>
+                  <ol className="absolute bottom-full left-0 mb-2 w-64 max-h-60 overflow-y-auto p-2 bg-white rounded-lg border border-border-light shadow-lg text-xs space-y-0.5">
+                    {history.undoLabels.length === 0 && (
+                      <li className="italic text-gray-400 px-2 py-1">
+                        No steps to undo
+                      </li>
+                    )}
+                    {history.undoLabels.map((label, index) => (
+                      <li
+                        key={index}
+                        className={
+                          "px-2 py-1 rounded " +
+                          (index === 0
+                            ? "bg-brand-teal/10 text-brand-teal font-bold"
+                            : "text-gray-600")
+                        }
+                      >
+                        {label}
+                      </li>
+                    ))}
+                  </ol>
+                </details>
+              )}
+            </div>
+          )}
+
           {/* Zoom Controls Overlay */}
           {floorPlanImage && (
             <div className="absolute bottom-6 right-6 p-1.5 glass-card flex items-center space-x-2">
@@ -1194,6 +3890,75 @@ const PharmIQHeatMap = () => {
         {/* End Canvas Area */}
       </div>{" "}
       {/* End Main content flex */}
+      {importSource && (
+        <ImportWizard
+          fileName={importSource.fileName}
+          workbook={importSource.workbook}
+          onImport={(result) => {
+            applyImport(result, importSource.fileName);
+            setImportSource(null);
+          }}
+          onCancel={() => setImportSource(null)}
+        />
+      )}
+
+      {/* Department Name Reconciliation */}
+      {reconcile && (
+        <ReconcileNames
+          suggestions={reconcile.suggestions}
+          planNames={departments
+            .map((dept) => dept.name)
+            .filter((name) => !periodDepartmentNames(periods).includes(name))}
+          salesData={salesData || {}}
+          aliases={aliases}
+          formatSales={(value) => formatMetricValue(value, "currency")}
+          onConfirm={applyNameMatches}
+          onRemoveAlias={removeAlias}
+          onClose={closeReconcile}
+        />
+      )}
+
+      {/* PDF and DXF Plan Import */}
+      {planImport?.type === "pdf" && (
+        <PdfImport
+          fileName={planImport.fileName}
+          pdf={planImport.pdf}
+          onConfirm={applyPlanImport}
+          onClose={closePlanImport}
+        />
+      )}
+      {planImport?.type === "dxf" && (
+        <DxfImport
+          fileName={planImport.fileName}
+          drawing={planImport.drawing}
+          onConfirm={applyPlanImport}
+          onClose={closePlanImport}
+        />
+      )}
+
+      {/* Shape Import, held back while a realignment is pending (see offerPlanShapes) */}
+      {shapeImport && !realign && (
+        <ShapeImport
+          fileName={shapeImport.fileName}
+          shapes={shapeImport.shapes}
+          salesNames={periodDepartmentNames(periods)}
+          planNames={departments.map((dept) => dept.name)}
+          onConfirm={importShapes}
+          onClose={() => setShapeImport(null)}
+        />
+      )}
+
+      {/* Import Validation Report */}
+      {showImportReport && importReport && (
+        <ImportReport
+          fileName={importReport.fileName}
+          issues={importReport.issues}
+          coverage={coverage}
+          salesData={salesData}
+          formatSales={(value) => formatMetricValue(value, "currency")}
+          onClose={() => setShowImportReport(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,110 @@
+import React from "react";
+import { paletteGradient } from "../lib/palettes";
+import { intensityCurve } from "../lib/renderLayers";
+
+const Swatch = ({ color }) => (
+  <span
+    className="inline-block w-4 h-3 rounded-sm border border-border-light shrink-0"
+    style={{ background: color }}
+  />
+);
+
+// Legend for the heatmap colours, drawn from the same scale and
+// classification as the heatmap itself. Continuous scales show a gradient
+// with its end and middle values; classed scales list every class with its
+// boundaries. Changes (comparison mode) run from loss to gain.
+const ColorLegend = ({
+  title,
+  colorScale,
+  classifier,
+  comparison,
+  gamma,
+  minIntensity,
+  formatValue,
+}) => {
+  // Colour at a place on the classification: 0-1, or -1 to 1 for changes
+  const colorAt = (position) =>
+    comparison
+      ? colorScale(0.5 + position / 2)
+      : colorScale(intensityCurve(position, gamma, minIntensity));
+  const valueAt = (position) => Math.sign(position) * classifier.valueAt(Math.abs(position));
+  // Values beyond a clipped end share its colour
+  const top = `${classifier.clipped.high ? "≥ " : ""}${formatValue(valueAt(1))}`;
+
+  if (classifier.classed) {
+    const { breaks } = classifier;
+    const classes = breaks.slice(0, -1).map((from, i) => ({
+      position: breaks.length > 2 ? i / (breaks.length - 2) : 1,
+      from,
+      to: breaks[i + 1],
+    }));
+    // Changes are listed by size, with a loss and a gain swatch each
+    const formatBoundary = (value) =>
+      comparison ? formatValue(Math.abs(value)).replace(/^[+±]/, "") : formatValue(value);
+    return (
+      <div className="pt-2">
+        <h4 className="text-[10px] uppercase font-bold tracking-widest text-gray-500 mb-3">
+          {title}
+        </h4>
+        <ul className="space-y-1 text-[11px] text-gray-600 tabular-nums">
+          {classes
+            .slice()
+            .reverse()
+            .map(({ position, from, to }) => (
+              <li key={position} className="flex items-center gap-2">
+                {comparison && <Swatch color={colorAt(-position)} />}
+                <Swatch color={colorAt(position)} />
+                <span>
+                  {comparison && "±"}
+                  {formatBoundary(from)} – {formatBoundary(to)}
+                </span>
+              </li>
+            ))}
+        </ul>
+        {(classifier.clipped.low || classifier.clipped.high) && (
+          <p className="text-[10px] text-gray-400 mt-1">
+            Outliers are shown in the end classes.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pt-2">
+      <h4 className="text-[10px] uppercase font-bold tracking-widest text-gray-500 mb-3">
+        {title}
+      </h4>
+      <div
+        className="h-3 w-full rounded-full border border-border-light shadow-inner"
+        style={{
+          background: paletteGradient((t) => colorAt(comparison ? t * 2 - 1 : t)),
+        }}
+      ></div>
+      {comparison ? (
+        <div className="flex justify-between text-[10px] mt-2 text-brand-navy font-bold tabular-nums px-0.5">
+          <span className="text-red-700">Loss</span>
+          <span className="text-gray-400">No change</span>
+          <span className="text-brand-teal">Gain</span>
+        </div>
+      ) : (
+        <div className="flex justify-between text-[10px] mt-2 text-brand-navy font-bold tabular-nums px-0.5">
+          <span className="text-gray-400">Baseline</span>
+          <span className="text-brand-teal">Target</span>
+          <span className="text-brand-amber">Top Tier</span>
+        </div>
+      )}
+      <div className="flex justify-between text-[11px] mt-1 text-gray-500 tabular-nums px-0.5">
+        <span>
+          {comparison
+            ? `${classifier.clipped.high ? "≤ " : ""}${formatValue(valueAt(-1))}`
+            : formatValue(valueAt(0))}
+        </span>
+        <span>{formatValue(valueAt(comparison ? 0 : 0.5))}</span>
+        <span>{top}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ColorLegend;
@@ -0,0 +1,76 @@
+import React from "react";
+
+// Rows of label / value pairs under a section heading, hidden when empty
+const DetailSection = ({ title, rows }) => {
+  if (rows.length === 0) return null;
+  return (
+    <div className="space-y-1">
+      <h4 className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+        {title}
+      </h4>
+      <dl className="grid grid-cols-2 gap-x-3 gap-y-0.5 text-xs tabular-nums">
+        {rows.map(({ label, value, highlight }) => (
+          <React.Fragment key={label}>
+            <dt className={highlight ? "font-bold text-brand-navy" : "text-gray-500"}>
+              {label}
+            </dt>
+            <dd className={"text-right " + (highlight ? "font-bold text-brand-navy" : "")}>
+              {value}
+            </dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+// Side panel with everything known about one department: the figure on
+// the heatmap with its rank, every metric, floor space and, with several
+// periods, the active metric over time. Rows are prepared by the App as
+// [{ label, value, highlight? }].
+const DepartmentPanel = ({
+  summary,
+  metricName,
+  metricRows,
+  spaceRows,
+  periodRows,
+  onClose,
+}) => (
+  <div className="absolute top-6 right-6 w-72 max-h-[calc(100%-3rem)] overflow-auto glass-card p-4 space-y-4 z-10">
+    <div className="flex items-start justify-between gap-2">
+      <div className="min-w-0">
+        <h3 className="font-heading font-bold text-brand-navy truncate">{summary.name}</h3>
+        <p className="text-[10px] text-gray-500">
+          {[
+            summary.rank !== null && `Rank ${summary.rank} of ${summary.rankOf}`,
+            summary.share !== null && `${summary.share} of total`,
+          ]
+            .filter(Boolean)
+            .join(" • ")}
+        </p>
+      </div>
+      <button
+        onClick={onClose}
+        className="text-gray-400 hover:text-brand-navy font-bold"
+        title="Close"
+      >
+        ×
+      </button>
+    </div>
+
+    <div className="p-3 rounded-lg bg-brand-teal/5 border border-brand-teal/20">
+      <div className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+        {metricName}
+      </div>
+      <div className="text-2xl font-heading font-bold text-brand-teal tabular-nums">
+        {summary.value}
+      </div>
+    </div>
+
+    <DetailSection title="Metrics" rows={metricRows} />
+    <DetailSection title="Floor space" rows={spaceRows} />
+    <DetailSection title="Across periods" rows={periodRows} />
+  </div>
+);
+
+export default DepartmentPanel;
@@ -0,0 +1,40 @@
+import React from "react";
+
+const OFFSET = 14; // Gap between the pointer and the tooltip, in px
+
+// Floating summary of the department under the pointer. `summary` comes
+// from the App's departmentSummary; x and y are viewport coordinates.
+const DepartmentTooltip = ({ summary, metricName, x, y }) => (
+  <div
+    className="fixed z-20 pointer-events-none bg-white/95 border border-border-light rounded-lg shadow-lg px-3 py-2 text-xs min-w-40"
+    style={{ left: x + OFFSET, top: y + OFFSET }}
+  >
+    <div className="font-bold text-brand-navy">{summary.name}</div>
+    <dl className="grid grid-cols-2 gap-x-3 gap-y-0.5 mt-1 tabular-nums">
+      <dt className="text-gray-500">{metricName}</dt>
+      <dd className="text-right font-bold text-brand-teal">{summary.value}</dd>
+      {summary.share !== null && (
+        <>
+          <dt className="text-gray-500">Share of total</dt>
+          <dd className="text-right">{summary.share}</dd>
+        </>
+      )}
+      {summary.rank !== null && (
+        <>
+          <dt className="text-gray-500">Rank</dt>
+          <dd className="text-right">
+            {summary.rank} of {summary.rankOf}
+          </dd>
+        </>
+      )}
+      {summary.area !== null && (
+        <>
+          <dt className="text-gray-500">Area</dt>
+          <dd className="text-right">{summary.area}</dd>
+        </>
+      )}
+    </dl>
+  </div>
+);
+
+export default DepartmentTooltip;
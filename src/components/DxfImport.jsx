@@ -0,0 +1,112 @@
+import React, { useState, useMemo } from "react";
+import {
+  DEFAULT_DXF_SIZE,
+  DXF_SIZES,
+  closedPathCounts,
+  dxfImageSize,
+  dxfLayerShapes,
+  guessDepartmentLayer,
+  renderDxf,
+} from "../lib/dxfPlan";
+
+const PREVIEW_SIZE = 480; // px
+
+// Modal for rendering a DXF drawing as the floor plan: pick the size to
+// render it at and, optionally, a layer whose closed polylines become
+// department outlines.
+const DxfImport = ({ fileName, drawing, onConfirm, onClose }) => {
+  const [size, setSize] = useState(DEFAULT_DXF_SIZE);
+  const [layer, setLayer] = useState(() => guessDepartmentLayer(drawing) ?? "");
+  const closedCounts = useMemo(() => closedPathCounts(drawing), [drawing]);
+  const preview = useMemo(() => renderDxf(drawing, PREVIEW_SIZE), [drawing]);
+
+  const { width, height } = dxfImageSize(drawing, size);
+
+  const handleConfirm = async () => {
+    try {
+      await onConfirm({
+        dataUrl: renderDxf(drawing, size),
+        shapes: layer ? dxfLayerShapes(drawing, layer, size) : [],
+      });
+    } catch (error) {
+      alert(`Could not render the drawing. ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-brand-navy/40 p-6">
+      <div className="bg-white rounded-xl shadow-lg border border-border-light w-full max-w-lg max-h-full flex flex-col">
+        <div className="p-4 border-b border-border-light">
+          <h2 className="text-lg font-heading font-bold text-brand-navy">
+            Floor Plan from {fileName}
+          </h2>
+          <p className="text-xs text-gray-500">
+            The drawing's lines and polylines are rendered as the floor plan.
+            Closed polylines on a layer can also become departments, named by
+            any text inside them.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div className="flex justify-center bg-gray-50 rounded-lg border border-border-light p-2">
+            <img src={preview} alt="Drawing preview" className="max-h-80 object-contain shadow-sm" />
+          </div>
+          <p className="text-xs text-gray-500">
+            {drawing.paths.length} lines and polylines, {drawing.texts.length} text labels
+          </p>
+
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <span className="text-gray-600">Size</span>
+              <select
+                value={size}
+                onChange={(e) => setSize(Number(e.target.value))}
+                className="p-1 border border-border-light rounded-md text-sm"
+              >
+                {DXF_SIZES.map((option) => (
+                  <option key={option} value={option}>
+                    {option}px long side
+                  </option>
+                ))}
+              </select>
+            </label>
+            <span className="text-xs text-gray-400">{width}×{height}px</span>
+          </div>
+
+          <label className="block text-sm">
+            <span className="text-gray-600">Departments from layer</span>
+            <select
+              value={layer}
+              onChange={(e) => setLayer(e.target.value)}
+              className="w-full mt-1 p-2 border border-border-light rounded-md text-sm"
+            >
+              <option value="">None, trace them by hand</option>
+              {Object.entries(closedCounts).map(([name, count]) => (
+                <option key={name} value={name}>
+                  {name} ({count} closed {count === 1 ? "polyline" : "polylines"})
+                </option>
+              ))}
+            </select>
+          </label>
+          {Object.keys(closedCounts).length === 0 && (
+            <p className="text-xs text-gray-400">The drawing has no closed polylines.</p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-border-light flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-sm font-bold transition-colors"
+          >
+            Cancel
+          </button>
+          <button onClick={handleConfirm} className="primary-btn text-sm">
+            Use This Drawing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DxfImport;
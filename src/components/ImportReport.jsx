@@ -0,0 +1,146 @@
+import React from "react";
+import { countIssues, describeRows } from "../lib/importReport";
+
+const MAX_LISTED = 50;
+
+// One titled list in the report, hidden when empty
+const ReportSection = ({ title, items, tone = "amber", children }) => {
+  if (items.length === 0) return null;
+  return (
+    <div className="space-y-1">
+      <h3
+        className={
+          "text-[10px] uppercase font-bold tracking-widest " +
+          (tone === "amber" ? "text-brand-amber" : "text-gray-500")
+        }
+      >
+        {title} ({items.length})
+      </h3>
+      <ul className="text-xs text-gray-600 space-y-0.5 tabular-nums">
+        {items.slice(0, MAX_LISTED).map(children)}
+      </ul>
+      {items.length > MAX_LISTED && (
+        <p className="text-[10px] text-gray-400">
+          …and {items.length - MAX_LISTED} more.
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Modal summarising a sales import: problems in the file itself and how
+// much of the imported sales lands on traced departments.
+const ImportReport = ({ fileName, issues, coverage, salesData, formatSales, onClose }) => {
+  const problemCount = countIssues(issues);
+  const percent =
+    coverage.coverage === null
+      ? null
+      : `${(coverage.coverage * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-brand-navy/40 p-6">
+      <div className="bg-white rounded-xl shadow-lg border border-border-light w-full max-w-2xl max-h-full flex flex-col">
+        <div className="p-4 border-b border-border-light">
+          <h2 className="text-lg font-heading font-bold text-brand-navy">
+            Import Report
+          </h2>
+          <p className="text-xs text-gray-500">
+            {fileName} • {Object.keys(salesData || {}).length} departments imported
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {/* Coverage */}
+          <div
+            className={
+              "p-3 rounded-lg border " +
+              (coverage.coverage !== null && coverage.coverage >= 0.999
+                ? "bg-brand-teal/5 border-brand-teal/30"
+                : "bg-brand-amber/5 border-brand-amber/40")
+            }
+          >
+            <div className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+              Sales mapped to the plan
+            </div>
+            <div className="text-2xl font-heading font-bold text-brand-navy tabular-nums">
+              {percent ?? "–"}
+            </div>
+            <div className="text-xs text-gray-500 tabular-nums">
+              {formatSales(coverage.mappedSales)} of {formatSales(coverage.totalSales)}
+              {coverage.notOnPlan.length > 0 &&
+                ` • ${coverage.notOnPlan.length} department${coverage.notOnPlan.length === 1 ? " is" : "s are"} not traced yet`}
+            </div>
+          </div>
+
+          {problemCount === 0 && (
+            <p className="text-xs text-brand-teal font-medium">
+              ✓ No problems found in the file.
+            </p>
+          )}
+
+          <ReportSection title="In the file but not on the plan" items={coverage.notOnPlan}>
+            {(name) => (
+              <li key={name} className="flex justify-between gap-4">
+                <span className="truncate">{name}</span>
+                <span>{formatSales(salesData[name])}</span>
+              </li>
+            )}
+          </ReportSection>
+
+          <ReportSection
+            title="On the plan but not in the file"
+            items={coverage.notInFile}
+          >
+            {(name) => <li key={name}>{name}</li>}
+          </ReportSection>
+
+          <ReportSection title="Duplicate departments" items={issues.duplicates}>
+            {({ department, rows }) => (
+              <li key={department}>
+                <span className="font-medium">{department}</span>: {describeRows(rows)}.
+                Only row {rows[0]} was imported.
+              </li>
+            )}
+          </ReportSection>
+
+          <ReportSection title="Values that are not numbers" items={issues.invalidValues}>
+            {({ row, department, column, value }) => (
+              <li key={`${row}-${column}`}>
+                Row {row} • <span className="font-medium">{department}</span> •{" "}
+                {column}: {value === "" ? "blank" : `"${value}"`} (left out)
+              </li>
+            )}
+          </ReportSection>
+
+          <ReportSection title="Negative values" items={issues.negativeValues}>
+            {({ row, department, column, value }) => (
+              <li key={`${row}-${column}`}>
+                Row {row} • <span className="font-medium">{department}</span> •{" "}
+                {column}: {value.toLocaleString()}
+              </li>
+            )}
+          </ReportSection>
+
+          <ReportSection
+            title="Rows with figures but no department name"
+            items={issues.blankNames}
+          >
+            {(row) => <li key={row}>Row {row} (skipped)</li>}
+          </ReportSection>
+
+          <ReportSection title="Total rows skipped" items={issues.totalRows} tone="gray">
+            {(row) => <li key={row}>Row {row}</li>}
+          </ReportSection>
+        </div>
+
+        <div className="p-4 border-t border-border-light flex justify-end">
+          <button onClick={onClose} className="primary-btn text-sm">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReport;
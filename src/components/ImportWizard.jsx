@@ -0,0 +1,350 @@
+import React, { useState, useMemo } from "react";
+import { AREA_UNITS } from "../lib/normalization";
+import {
+  detectHeaderRow,
+  getColumns,
+  guessMapping,
+  reportSignature,
+  loadSavedMapping,
+  mappingFitsColumns,
+  saveMapping,
+  extractSalesData,
+} from "../lib/salesImport";
+
+const PREVIEW_ROWS = 15;
+const EMPTY_ROWS = [];
+
+const DELIMITER_NAMES = { ",": "comma", "\t": "tab", ";": "semicolon", "|": "pipe" };
+
+// Summarise how a source was read, e.g. "CSV • UTF-8 • semicolon-separated • decimal comma"
+const describeSource = ({ format, encoding, delimiter, decimal }) =>
+  [
+    format === "paste" ? "Pasted table" : format.toUpperCase(),
+    encoding,
+    delimiter && `${DELIMITER_NAMES[delimiter] || delimiter}-separated`,
+    decimal === "," ? "decimal comma" : null,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+
+// Start from a remembered mapping for this report type when there is one,
+// otherwise from a best guess
+const initialMapping = (rows) => {
+  const headerRow = detectHeaderRow(rows);
+  const columns = getColumns(rows, headerRow);
+  const saved = loadSavedMapping(reportSignature(columns));
+  if (saved && mappingFitsColumns(saved, columns)) {
+    return { mapping: { ...saved, headerRow }, recognised: true };
+  }
+  return { mapping: guessMapping(columns, headerRow), recognised: false };
+};
+
+// Modal that previews a worksheet and maps its columns to department,
+// sales (or one column per period), any extra metrics and floor space
+// before importing.
+const ImportWizard = ({ fileName, workbook, onImport, onCancel }) => {
+  const [sheetName, setSheetName] = useState(workbook.sheetNames[0]);
+  const rows = workbook.sheets[sheetName] || EMPTY_ROWS;
+  const [{ mapping, recognised }, setState] = useState(() => initialMapping(rows));
+  const [remember, setRemember] = useState(true);
+
+  // Each sheet gets its own header detection and column guesses
+  const selectSheet = (name) => {
+    setSheetName(name);
+    setState(initialMapping(workbook.sheets[name] || []));
+  };
+
+  const columns = useMemo(
+    () => getColumns(rows, mapping.headerRow),
+    [rows, mapping.headerRow],
+  );
+  const numericColumns = columns.filter((col) => col.numeric);
+
+  const updateMapping = (changes) =>
+    setState((prev) => ({ ...prev, mapping: { ...prev.mapping, ...changes } }));
+
+  // Choosing a different header row re-derives the column guesses
+  const selectHeaderRow = (headerRow) =>
+    setState((prev) => ({
+      ...prev,
+      mapping: guessMapping(getColumns(rows, headerRow), headerRow),
+    }));
+
+  const toggleMetric = (header) =>
+    updateMapping({
+      metrics: mapping.metrics.includes(header)
+        ? mapping.metrics.filter((metric) => metric !== header)
+        : [...mapping.metrics, header],
+    });
+
+  // Keep period columns in sheet order
+  const periods = mapping.periods || [];
+  const togglePeriod = (header) =>
+    updateMapping({
+      periods: columns
+        .map((col) => col.header)
+        .filter((name) => (name === header) !== periods.includes(name)),
+    });
+
+  const handleImport = () => {
+    try {
+      const metrics = mapping.metrics.filter(
+        (metric) =>
+          metric !== mapping.sales &&
+          metric !== mapping.department &&
+          metric !== mapping.area &&
+          metric !== mapping.bays &&
+          !periods.includes(metric),
+      );
+      const finalMapping = { ...mapping, metrics, periods };
+      const result = extractSalesData(rows, finalMapping);
+      if (remember) saveMapping(reportSignature(columns), finalMapping);
+      onImport(result, finalMapping);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const previewWidth = Math.max(0, ...rows.slice(0, PREVIEW_ROWS).map((row) => row.length));
+  const canImport = mapping.department && (mapping.sales || periods.length > 0);
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-brand-navy/40 p-6">
+      <div className="bg-white rounded-xl shadow-lg border border-border-light w-full max-w-4xl max-h-full flex flex-col">
+        <div className="p-4 border-b border-border-light">
+          <h2 className="text-lg font-heading font-bold text-brand-navy">
+            Import Sales Intelligence
+          </h2>
+          <p className="text-xs text-gray-500">
+            {fileName} ({describeSource(workbook.details)}) • Click a row in the
+            preview to mark it as the header row.
+          </p>
+          {workbook.sheetNames.length > 1 && (
+            <label className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+              <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+                Sheet
+              </span>
+              <select
+                value={sheetName}
+                onChange={(e) => selectSheet(e.target.value)}
+                className="p-1 border border-border-light rounded-md text-sm"
+              >
+                {workbook.sheetNames.map((name) => (
+                  <option key={name} value={name}>
+                    {name} ({(workbook.sheets[name] || []).length} rows)
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {recognised && (
+            <p className="mt-2 text-xs text-brand-teal font-medium">
+              ✓ Recognised report type: using your saved column mapping.
+            </p>
+          )}
+        </div>
+
+        {/* Sheet Preview */}
+        <div className="flex-1 overflow-auto p-4">
+          <table className="text-xs border-collapse w-full tabular-nums">
+            <tbody>
+              {rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                <tr
+                  key={rowIndex}
+                  onClick={() => selectHeaderRow(rowIndex)}
+                  className={
+                    "cursor-pointer " +
+                    (rowIndex === mapping.headerRow
+                      ? "bg-brand-teal/10 font-bold text-brand-teal"
+                      : rowIndex < mapping.headerRow
+                        ? "text-gray-300"
+                        : "hover:bg-surface-gray")
+                  }
+                >
+                  <td className="pr-2 text-gray-400 text-right">{rowIndex + 1}</td>
+                  {Array.from({ length: previewWidth }, (_, colIndex) => (
+                    <td
+                      key={colIndex}
+                      className="px-2 py-1 border border-border-light whitespace-nowrap max-w-48 truncate"
+                    >
+                      {row[colIndex] === null || row[colIndex] === undefined
+                        ? ""
+                        : String(row[colIndex])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > PREVIEW_ROWS && (
+            <p className="text-[10px] text-gray-400 mt-1">
+              Showing the first {PREVIEW_ROWS} of {rows.length} rows.
+            </p>
+          )}
+        </div>
+
+        {/* Column Mapping */}
+        <div className="p-4 border-t border-border-light grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="block">
+            <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+              Department column
+            </span>
+            <select
+              value={mapping.department ?? ""}
+              onChange={(e) => updateMapping({ department: e.target.value || null })}
+              className="w-full mt-1 p-2 border border-border-light rounded-md text-sm"
+            >
+              <option value="">Select…</option>
+              {columns.map((col) => (
+                <option key={col.index} value={col.header}>
+                  {col.header}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+              Sales column
+            </span>
+            <select
+              value={mapping.sales ?? ""}
+              onChange={(e) => updateMapping({ sales: e.target.value || null })}
+              disabled={periods.length > 0}
+              className="w-full mt-1 p-2 border border-border-light rounded-md text-sm disabled:opacity-50"
+              title={periods.length > 0 ? "Sales come from the period columns" : undefined}
+            >
+              <option value="">Select…</option>
+              {numericColumns.map((col) => (
+                <option key={col.index} value={col.header}>
+                  {col.header}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div>
+            <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+              Other metrics
+            </span>
+            <div className="mt-1 max-h-28 overflow-y-auto space-y-1">
+              {numericColumns
+                .filter(
+                  (col) => col.header !== mapping.sales && !periods.includes(col.header),
+                )
+                .map((col) => (
+                  <label key={col.index} className="flex items-center text-xs text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={mapping.metrics.includes(col.header)}
+                      onChange={() => toggleMetric(col.header)}
+                      className="mr-2 accent-brand-teal"
+                    />
+                    {col.header}
+                  </label>
+                ))}
+              {numericColumns.length <= 1 && (
+                <p className="text-xs italic text-gray-400">No other numeric columns.</p>
+              )}
+            </div>
+          </div>
+          <div>
+            <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+              Period columns (one per month)
+            </span>
+            <div className="mt-1 max-h-28 overflow-y-auto space-y-1">
+              {numericColumns.map((col) => (
+                <label key={col.index} className="flex items-center text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={periods.includes(col.header)}
+                    onChange={() => togglePeriod(col.header)}
+                    className="mr-2 accent-brand-teal"
+                  />
+                  {col.header}
+                </label>
+              ))}
+            </div>
+            <p className="text-[10px] text-gray-400 mt-1">
+              Tick to load each column as a period on the timeline instead of a
+              single sales column.
+            </p>
+          </div>
+          <div className="space-y-2">
+            <span className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+              Floor space (optional)
+            </span>
+            <div className="flex gap-2">
+              <select
+                value={mapping.area ?? ""}
+                onChange={(e) => updateMapping({ area: e.target.value || null })}
+                className="flex-1 min-w-0 p-2 border border-border-light rounded-md text-sm"
+                title="Area column"
+              >
+                <option value="">No area column</option>
+                {numericColumns.map((col) => (
+                  <option key={col.index} value={col.header}>
+                    {col.header}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={mapping.areaUnit || "m2"}
+                onChange={(e) => updateMapping({ areaUnit: e.target.value })}
+                disabled={!mapping.area}
+                className="p-2 border border-border-light rounded-md text-sm disabled:opacity-50"
+                title="Area unit"
+              >
+                {Object.entries(AREA_UNITS).map(([unit, { label }]) => (
+                  <option key={unit} value={unit}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <select
+              value={mapping.bays ?? ""}
+              onChange={(e) => updateMapping({ bays: e.target.value || null })}
+              className="w-full p-2 border border-border-light rounded-md text-sm"
+              title="Bay count column"
+            >
+              <option value="">No bay count column</option>
+              {numericColumns.map((col) => (
+                <option key={col.index} value={col.header}>
+                  {col.header}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-border-light flex items-center justify-between gap-4">
+          <label className="flex items-center text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={() => setRemember(!remember)}
+              className="mr-2 accent-brand-teal"
+            />
+            Remember this mapping for this report type
+          </label>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-sm font-bold transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={!canImport}
+              className="primary-btn text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
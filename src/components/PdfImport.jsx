@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from "react";
+import {
+  DEFAULT_PDF_RESOLUTION,
+  MAX_RENDER_SIDE,
+  PDF_RESOLUTIONS,
+  pageSize,
+  renderPdfPage,
+  renderPdfPreview,
+} from "../lib/pdfPlan";
+
+// Modal for picking which page of a PDF to use as the floor plan and the
+// resolution to render it at. Higher resolutions keep fine print legible
+// when zoomed in, at the cost of a larger project file.
+const PdfImport = ({ fileName, pdf, onConfirm, onClose }) => {
+  const [pageNumber, setPageNumber] = useState(1);
+  const [dpi, setDpi] = useState(DEFAULT_PDF_RESOLUTION);
+  const [page, setPage] = useState(null); // { pageNumber, preview, size } with size at 72 dpi
+  const [rendering, setRendering] = useState(false);
+
+  // Preview the picked page
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([renderPdfPreview(pdf, pageNumber), pageSize(pdf, pageNumber, 72)])
+      .then(([preview, size]) => {
+        if (!cancelled) setPage({ pageNumber, preview, size });
+      })
+      .catch((error) => console.error("Failed to preview PDF page:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber]);
+
+  const current = page?.pageNumber === pageNumber ? page : null;
+  const sizeAt = (resolution) =>
+    current && {
+      width: Math.ceil((current.size.width * resolution) / 72),
+      height: Math.ceil((current.size.height * resolution) / 72),
+    };
+  const fits = (resolution) => {
+    const size = sizeAt(resolution);
+    return !size || Math.max(size.width, size.height) <= MAX_RENDER_SIDE;
+  };
+  const size = sizeAt(dpi);
+
+  const handleConfirm = async () => {
+    setRendering(true);
+    try {
+      await onConfirm({ dataUrl: await renderPdfPage(pdf, pageNumber, dpi), shapes: [] });
+    } catch (error) {
+      alert(`Could not render the page. ${error.message}`);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-brand-navy/40 p-6">
+      <div className="bg-white rounded-xl shadow-lg border border-border-light w-full max-w-lg max-h-full flex flex-col">
+        <div className="p-4 border-b border-border-light">
+          <h2 className="text-lg font-heading font-bold text-brand-navy">
+            Floor Plan from {fileName}
+          </h2>
+          <p className="text-xs text-gray-500">
+            Pick the page with the floor plan and the resolution to render it
+            at. Higher resolutions stay sharp when zoomed in but make the
+            project file larger.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <span className="text-gray-600">Page</span>
+              <select
+                value={pageNumber}
+                onChange={(e) => setPageNumber(Number(e.target.value))}
+                disabled={rendering}
+                className="p-1 border border-border-light rounded-md text-sm"
+              >
+                {Array.from({ length: pdf.numPages }, (_, i) => (
+                  <option key={i} value={i + 1}>
+                    {i + 1} of {pdf.numPages}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-600">Resolution</span>
+              <select
+                value={dpi}
+                onChange={(e) => setDpi(Number(e.target.value))}
+                disabled={rendering}
+                className="p-1 border border-border-light rounded-md text-sm"
+              >
+                {PDF_RESOLUTIONS.map((resolution) => (
+                  <option key={resolution} value={resolution} disabled={!fits(resolution)}>
+                    {resolution} dpi{fits(resolution) ? "" : " (too large)"}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex justify-center bg-gray-50 rounded-lg border border-border-light p-2 min-h-40">
+            {current ? (
+              <img
+                src={current.preview}
+                alt={`Page ${pageNumber}`}
+                className="max-h-80 object-contain shadow-sm"
+              />
+            ) : (
+              <span className="self-center text-xs text-gray-400">Loading preview…</span>
+            )}
+          </div>
+          {size && (
+            <p className={`text-xs ${fits(dpi) ? "text-gray-500" : "text-red-600"}`}>
+              {size.width}×{size.height}px
+              {!fits(dpi) && ` is larger than ${MAX_RENDER_SIDE}px; pick a lower resolution.`}
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-border-light flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-sm font-bold transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={rendering || !fits(dpi)}
+            className="primary-btn text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {rendering ? "Rendering…" : "Use This Page"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfImport;
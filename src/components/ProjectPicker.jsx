@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  listProjects,
+  renameStoredProject,
+  duplicateStoredProject,
+  deleteStoredProject,
+} from "../lib/projectStore";
+
+// Format an ISO timestamp as a short "last saved" label
+const formatUpdatedAt = (iso) => {
+  const date = new Date(iso);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString();
+};
+
+// Header store switcher: lists locally saved store projects and lets the
+// user open, duplicate, rename and delete them.
+const ProjectPicker = ({
+  activeProjectId,
+  activeProjectName,
+  saveStatus, // 'idle', 'saving', 'saved', 'error'
+  onOpenProject,
+  onNewProject,
+  onActiveProjectRenamed,
+  onActiveProjectDeleted,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+
+  const refresh = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (error) {
+      console.error("Failed to list projects:", error);
+      setProjects([]);
+    }
+  }, []);
+
+  // Refresh the list whenever the menu opens or the active project saves
+  useEffect(() => {
+    if (open) refresh();
+  }, [open, saveStatus, refresh]);
+
+  const handleOpen = (id) => {
+    setOpen(false);
+    if (id !== activeProjectId) onOpenProject(id);
+  };
+
+  const handleNew = () => {
+    setOpen(false);
+    onNewProject();
+  };
+
+  const handleDuplicate = async (project) => {
+    try {
+      await duplicateStoredProject(project.id, `${project.name} (copy)`);
+      await refresh();
+    } catch (error) {
+      alert(`Could not duplicate project. ${error.message}`);
+    }
+  };
+
+  const startRename = (project) => {
+    setRenamingId(project.id);
+    setRenameValue(project.name);
+  };
+
+  const commitRename = async () => {
+    const name = renameValue.trim();
+    const id = renamingId;
+    setRenamingId(null);
+    if (!name) return;
+    try {
+      await renameStoredProject(id, name);
+      if (id === activeProjectId) onActiveProjectRenamed(name);
+      await refresh();
+    } catch (error) {
+      alert(`Could not rename project. ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete store project "${project.name}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await deleteStoredProject(project.id);
+      if (project.id === activeProjectId) onActiveProjectDeleted();
+      await refresh();
+    } catch (error) {
+      alert(`Could not delete project. ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 px-3 py-1.5 bg-white border border-border-light rounded-lg text-sm font-bold text-brand-navy hover:border-brand-teal/50 transition-colors"
+      >
+        <span className="truncate max-w-48">
+          {activeProjectName || "Untitled store"}
+        </span>
+        <span className="text-xs text-gray-400">▼</span>
+      </button>
+      <div className="text-[10px] text-gray-400 text-right mt-0.5 h-3">
+        {saveStatus === "saving" && "Saving…"}
+        {saveStatus === "saved" && "All changes saved locally"}
+        {saveStatus === "error" && (
+          <span className="text-red-600">Local save failed</span>
+        )}
+      </div>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-80 p-3 bg-white rounded-xl border border-border-light shadow-lg z-20 space-y-2">
+          <h4 className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+            Store Projects
+          </h4>
+          <div className="max-h-72 overflow-y-auto space-y-1">
+            {projects.length === 0 && (
+              <p className="text-xs italic text-gray-400 p-2">
+                No saved store projects yet.
+              </p>
+            )}
+            {projects.map((project) => (
+              <div
+                key={project.id}
+                className={
+                  "group p-2 rounded-lg border " +
+                  (project.id === activeProjectId
+                    ? "bg-brand-teal/5 border-brand-teal/40"
+                    : "border-transparent hover:bg-surface-gray")
+                }
+              >
+                {renamingId === project.id ? (
+                  <input
+                    autoFocus
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") commitRename();
+                      if (e.key === "Escape") setRenamingId(null);
+                    }}
+                    className="w-full p-1 border border-brand-teal rounded text-sm outline-none"
+                  />
+                ) : (
+                  <button
+                    onClick={() => handleOpen(project.id)}
+                    className="block w-full text-left"
+                  >
+                    <div className="text-sm font-bold text-brand-navy truncate">
+                      {project.name}
+                    </div>
+                    <div className="text-[10px] text-gray-400 uppercase tracking-wider">
+                      {project.departmentCount} centers • Saved{" "}
+                      {formatUpdatedAt(project.updatedAt)}
+                    </div>
+                  </button>
+                )}
+                <div className="flex gap-2 mt-1 text-[10px] font-bold uppercase tracking-wider">
+                  <button
+                    onClick={() => startRename(project)}
+                    className="text-brand-teal hover:underline"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => handleDuplicate(project)}
+                    className="text-brand-teal hover:underline"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => handleDelete(project)}
+                    className="text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={handleNew}
+            className="w-full px-3 py-1.5 bg-brand-teal text-white hover:bg-brand-teal-dark rounded-lg text-xs font-bold transition-colors"
+          >
+            + New Store Project
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectPicker;
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { normalizeName } from "../lib/nameMatching";
+
+const AUTO_ACCEPT_SCORE = 0.8;
+
+// Modal for confirming which plan department each unmatched spreadsheet
+// name belongs to. Confirmed pairs are saved to the project's alias table.
+const ReconcileNames = ({
+  suggestions,
+  planNames,
+  salesData,
+  aliases,
+  formatSales,
+  onConfirm,
+  onRemoveAlias,
+  onClose,
+}) => {
+  // { fileName: { planName, accepted } }
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(
+      suggestions.map(({ fileName, planName, score }) => [
+        fileName,
+        { planName, accepted: !!planName && score >= AUTO_ACCEPT_SCORE },
+      ]),
+    ),
+  );
+  const scores = Object.fromEntries(
+    suggestions.map(({ fileName, planName, score }) => [fileName, { planName, score }]),
+  );
+
+  const updateChoice = (fileName, changes) =>
+    setChoices((prev) => ({ ...prev, [fileName]: { ...prev[fileName], ...changes } }));
+
+  const accepted = Object.entries(choices).filter(
+    ([, choice]) => choice.accepted && choice.planName,
+  );
+
+  const handleConfirm = () => {
+    const targets = accepted.map(([, choice]) => choice.planName);
+    const repeated = targets.find((name, index) => targets.indexOf(name) !== index);
+    if (repeated) {
+      alert(`"${repeated}" is matched to more than one spreadsheet name. Pick one.`);
+      return;
+    }
+    onConfirm(
+      Object.fromEntries(
+        accepted.map(([fileName, choice]) => [normalizeName(fileName), choice.planName]),
+      ),
+    );
+  };
+
+  const savedAliases = Object.entries(aliases);
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-brand-navy/40 p-6">
+      <div className="bg-white rounded-xl shadow-lg border border-border-light w-full max-w-3xl max-h-full flex flex-col">
+        <div className="p-4 border-b border-border-light">
+          <h2 className="text-lg font-heading font-bold text-brand-navy">
+            Match Department Names
+          </h2>
+          <p className="text-xs text-gray-500">
+            These spreadsheet names do not match any department on the plan.
+            Confirm the suggested matches; they are remembered for this store,
+            so future imports match automatically.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {suggestions.length === 0 ? (
+            <p className="text-xs text-brand-teal font-medium">
+              ✓ Every department in the file matches the plan.
+            </p>
+          ) : (
+            <table className="text-xs w-full tabular-nums">
+              <thead>
+                <tr className="text-[10px] uppercase tracking-widest text-gray-500 text-left">
+                  <th className="pb-2 font-bold">In the spreadsheet</th>
+                  <th className="pb-2 font-bold">On the plan</th>
+                  <th className="pb-2 font-bold text-right">Match</th>
+                  <th className="pb-2 font-bold text-center">Accept</th>
+                </tr>
+              </thead>
+              <tbody>
+                {suggestions.map(({ fileName }) => {
+                  const choice = choices[fileName];
+                  const suggested = scores[fileName];
+                  return (
+                    <tr key={fileName} className="border-t border-border-light">
+                      <td className="py-1.5 pr-2">
+                        <div className="font-medium text-brand-navy">{fileName}</div>
+                        <div className="text-[10px] text-gray-400">
+                          {formatSales(salesData[fileName])}
+                        </div>
+                      </td>
+                      <td className="py-1.5 pr-2">
+                        <select
+                          value={choice.planName ?? ""}
+                          onChange={(e) =>
+                            updateChoice(fileName, {
+                              planName: e.target.value || null,
+                              accepted: !!e.target.value,
+                            })
+                          }
+                          className="w-full p-1 border border-border-light rounded-md text-xs"
+                        >
+                          <option value="">No match</option>
+                          {planNames.map((name) => (
+                            <option key={name} value={name}>
+                              {name}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-1.5 pr-2 text-right text-gray-500">
+                        {choice.planName && choice.planName === suggested.planName
+                          ? `${Math.round(suggested.score * 100)}%`
+                          : choice.planName
+                            ? "manual"
+                            : "–"}
+                      </td>
+                      <td className="py-1.5 text-center">
+                        <input
+                          type="checkbox"
+                          checked={choice.accepted}
+                          disabled={!choice.planName}
+                          onChange={() =>
+                            updateChoice(fileName, { accepted: !choice.accepted })
+                          }
+                          className="accent-brand-teal"
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          {savedAliases.length > 0 && (
+            <div className="space-y-1">
+              <h3 className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+                Saved aliases ({savedAliases.length})
+              </h3>
+              <ul className="text-xs text-gray-600 space-y-0.5">
+                {savedAliases.map(([key, planName]) => (
+                  <li key={key} className="flex items-center justify-between gap-2">
+                    <span className="truncate">
+                      “{key}” → <span className="font-medium">{planName}</span>
+                    </span>
+                    <button
+                      onClick={() => onRemoveAlias(key)}
+                      className="text-gray-400 hover:text-red-500 font-bold"
+                      title="Forget this alias (takes effect at the next import)"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-border-light flex items-center justify-between gap-4">
+          <span className="text-xs text-gray-500">
+            {accepted.length} of {suggestions.length} matched
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-sm font-bold transition-colors"
+            >
+              Skip
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={accepted.length === 0}
+              className="primary-btn text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply Matches
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReconcileNames;
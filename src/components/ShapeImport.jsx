@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+
+// Modal listing the bay outlines read from an SVG or DXF floor plan. Each
+// chosen shape becomes a department outline under the name given; shapes
+// are pre-linked to spreadsheet departments by their label or id.
+const ShapeImport = ({ fileName, shapes, salesNames, planNames, onConfirm, onClose }) => {
+  // [{ name, included }], one per shape
+  const [choices, setChoices] = useState(() =>
+    shapes.map((shape) => ({ name: shape.name, included: true })),
+  );
+
+  const updateChoice = (index, changes) =>
+    setChoices((prev) =>
+      prev.map((choice, i) => (i === index ? { ...choice, ...changes } : choice)),
+    );
+
+  const chosen = shapes
+    .map((shape, i) => ({ ...choices[i], coords: shape.coords }))
+    .filter((choice) => choice.included && choice.name.trim());
+
+  const handleConfirm = () => {
+    const names = chosen.map((choice) => choice.name.trim());
+    const repeated = names.find((name, index) => names.indexOf(name) !== index);
+    if (repeated) {
+      alert(`More than one shape is named "${repeated}". Rename or untick one.`);
+      return;
+    }
+    onConfirm(chosen.map((choice) => ({ name: choice.name.trim(), coords: choice.coords })));
+  };
+
+  const status = (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return { text: "No name", className: "text-gray-400" };
+    if (planNames.includes(trimmed)) {
+      return { text: "Replaces outline", className: "text-brand-amber" };
+    }
+    if (salesNames.includes(trimmed)) {
+      return { text: "✓ Sales data", className: "text-brand-teal" };
+    }
+    return { text: "New, no sales data", className: "text-gray-500" };
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-brand-navy/40 p-6">
+      <div className="bg-white rounded-xl shadow-lg border border-border-light w-full max-w-3xl max-h-full flex flex-col">
+        <div className="p-4 border-b border-border-light">
+          <h2 className="text-lg font-heading font-bold text-brand-navy">
+            Import Shapes from {fileName}
+          </h2>
+          <p className="text-xs text-gray-500">
+            The plan draws these bays as separate shapes. Tick the ones to add
+            as departments and check their names; a shape named after a
+            spreadsheet department is linked to its sales data.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4">
+          <table className="text-xs w-full">
+            <thead>
+              <tr className="text-[10px] uppercase tracking-widest text-gray-500 text-left">
+                <th className="pb-2 font-bold text-center">Add</th>
+                <th className="pb-2 font-bold">On the plan</th>
+                <th className="pb-2 font-bold">Department</th>
+                <th className="pb-2 font-bold text-right">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shapes.map((shape, i) => {
+                const choice = choices[i];
+                const { text, className } = status(choice.name);
+                return (
+                  <tr
+                    key={i}
+                    className={`border-t border-border-light ${choice.included ? "" : "opacity-50"}`}
+                  >
+                    <td className="py-1.5 pr-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={choice.included}
+                        onChange={() => updateChoice(i, { included: !choice.included })}
+                        className="accent-brand-teal"
+                      />
+                    </td>
+                    <td className="py-1.5 pr-2">
+                      <div className="font-medium text-brand-navy">{shape.label}</div>
+                      {shape.id && shape.id !== shape.label && (
+                        <div className="text-[10px] text-gray-400">#{shape.id}</div>
+                      )}
+                    </td>
+                    <td className="py-1.5 pr-2">
+                      <input
+                        type="text"
+                        value={choice.name}
+                        list="shape-import-names"
+                        disabled={!choice.included}
+                        onChange={(e) => updateChoice(i, { name: e.target.value })}
+                        className="w-full p-1 border border-border-light rounded-md text-xs"
+                      />
+                    </td>
+                    <td className={`py-1.5 text-right font-medium ${className}`}>
+                      {choice.included ? text : "Skipped"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <datalist id="shape-import-names">
+            {salesNames.map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </div>
+
+        <div className="p-4 border-t border-border-light flex items-center justify-between gap-4">
+          <span className="text-xs text-gray-500">
+            {chosen.filter((choice) => salesNames.includes(choice.name.trim())).length} of{" "}
+            {chosen.length} linked to sales data
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-white border border-border-light text-gray-600 hover:border-brand-teal/50 rounded-lg text-sm font-bold transition-colors"
+            >
+              Skip
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={chosen.length === 0}
+              className="primary-btn text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add {chosen.length} {chosen.length === 1 ? "Department" : "Departments"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShapeImport;
@@ -0,0 +1,47 @@
+import React from "react";
+import { GRID_SIZES } from "../lib/drawingTools";
+
+// Snapping settings shared by the draw and edit panels
+const SnapControls = ({ snap, onChange }) => (
+  <div className="space-y-1.5">
+    <div className="text-[10px] uppercase font-bold tracking-widest text-gray-500">
+      Snap To
+    </div>
+    <div className="flex items-center gap-3 text-xs text-gray-700">
+      <label className="flex items-center gap-1 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={snap.vertices}
+          onChange={() => onChange({ vertices: !snap.vertices })}
+          className="rounded border-border-light text-brand-teal"
+        />
+        Points
+      </label>
+      <label className="flex items-center gap-1 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={snap.edges}
+          onChange={() => onChange({ edges: !snap.edges })}
+          className="rounded border-border-light text-brand-teal"
+        />
+        Edges
+      </label>
+      <label className="flex items-center gap-1 ml-auto">
+        Grid
+        <select
+          value={snap.grid}
+          onChange={(e) => onChange({ grid: Number(e.target.value) })}
+          className="p-1 border border-border-light rounded-md text-xs bg-white"
+        >
+          {GRID_SIZES.map((size) => (
+            <option key={size} value={size}>
+              {size ? `${size} px` : "Off"}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  </div>
+);
+
+export default SnapControls;
@@ -0,0 +1,97 @@
+import { useState, useRef, useCallback } from "react";
+
+const DEFAULT_LIMIT = 100;
+const COALESCE_WINDOW_MS = 1000;
+
+// Labelled undo/redo stack built on snapshots.
+//
+// `capture()` returns a snapshot of the current undoable state and
+// `restore(snapshot)` puts one back. Call `record(label)` just BEFORE making
+// a change; the snapshot taken is what undo will return to. Rapid repeated
+// changes (e.g. dragging a slider) can share one step by passing the same
+// `coalesceKey`.
+const useHistory = ({ capture, restore, limit = DEFAULT_LIMIT }) => {
+  const [past, setPast] = useState([]); // [{ label, snapshot }], oldest first
+  const [future, setFuture] = useState([]); // [{ label, snapshot }], next redo last
+
+  // Keep the latest callbacks without changing the identity of record/undo/redo
+  const captureRef = useRef(capture);
+  const restoreRef = useRef(restore);
+  captureRef.current = capture;
+  restoreRef.current = restore;
+
+  const pastRef = useRef(past);
+  const futureRef = useRef(future);
+  pastRef.current = past;
+  futureRef.current = future;
+
+  const lastRecordRef = useRef({ key: null, time: 0 });
+
+  const record = useCallback(
+    (label, { coalesceKey = null } = {}) => {
+      const now = Date.now();
+      const last = lastRecordRef.current;
+      lastRecordRef.current = { key: coalesceKey, time: now };
+      if (
+        coalesceKey !== null &&
+        last.key === coalesceKey &&
+        now - last.time < COALESCE_WINDOW_MS
+      ) {
+        return;
+      }
+
+      const entry = { label, snapshot: captureRef.current() };
+      setPast((prev) => [...prev, entry].slice(-limit));
+      setFuture([]);
+    },
+    [limit],
+  );
+
+  const undo = useCallback(() => {
+    const stack = pastRef.current;
+    if (stack.length === 0) return;
+    const entry = stack[stack.length - 1];
+    lastRecordRef.current = { key: null, time: 0 };
+
+    setPast(stack.slice(0, -1));
+    setFuture([
+      ...futureRef.current,
+      { label: entry.label, snapshot: captureRef.current() },
+    ]);
+    restoreRef.current(entry.snapshot);
+  }, []);
+
+  const redo = useCallback(() => {
+    const stack = futureRef.current;
+    if (stack.length === 0) return;
+    const entry = stack[stack.length - 1];
+    lastRecordRef.current = { key: null, time: 0 };
+
+    setFuture(stack.slice(0, -1));
+    setPast([
+      ...pastRef.current,
+      { label: entry.label, snapshot: captureRef.current() },
+    ]);
+    restoreRef.current(entry.snapshot);
+  }, []);
+
+  const clear = useCallback(() => {
+    lastRecordRef.current = { key: null, time: 0 };
+    setPast([]);
+    setFuture([]);
+  }, []);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: past.length > 0 ? past[past.length - 1].label : null,
+    redoLabel: future.length > 0 ? future[future.length - 1].label : null,
+    undoLabels: past.map((entry) => entry.label).reverse(), // Most recent first
+  };
+};
+
+export default useHistory;
@@ -0,0 +1,36 @@
+// --- Floor Plan Scale Calibration ---
+//
+// A calibration is two points on the floor plan (image pixels) and the real
+// distance between them: { from: { x, y }, to: { x, y }, metres }.
+// It turns traced department outlines into real floor areas.
+import { applyTransform, distance, polygonArea } from "./geometry";
+
+export const LENGTH_UNITS = {
+  m: { label: "m", toMetres: 1 },
+  ft: { label: "ft", toMetres: 0.3048 },
+};
+
+// Length unit matching an area unit ("m2" -> "m", "ft2" -> "ft")
+export const lengthUnitFor = (areaUnit) => (areaUnit === "ft2" ? "ft" : "m");
+
+// Image pixels per real metre, or null when uncalibrated
+export const pixelsPerMetre = (calibration) => {
+  if (!calibration || !(calibration.metres > 0)) return null;
+  const pixels = distance(calibration.from, calibration.to);
+  return pixels > 0 ? pixels / calibration.metres : null;
+};
+
+// Real area of a traced outline in m², or null without a calibration
+export const tracedArea = (coords, calibration) => {
+  const scale = pixelsPerMetre(calibration);
+  if (!scale || coords.length < 3) return null;
+  return polygonArea(coords) / (scale * scale);
+};
+
+// Move the calibration points along with the layout when it is realigned
+export const transformCalibration = (calibration, t) =>
+  calibration && {
+    ...calibration,
+    from: applyTransform(t, calibration.from),
+    to: applyTransform(t, calibration.to),
+  };
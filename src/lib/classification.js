@@ -0,0 +1,161 @@
+// --- Colour Classification ---
+//
+// How values are placed on the colour palette. Continuous scales (linear,
+// square root, log) give every value its own colour; classed scales
+// (quantile, equal interval, natural breaks) put values into a chosen
+// number of classes that each get one colour. Outliers can be clipped to a
+// percentile so one huge dispensary does not wash out everything else.
+import * as d3 from "d3";
+
+export const SCALE_TYPES = {
+  linear: "Linear",
+  sqrt: "Square root",
+  log: "Logarithmic",
+  quantile: "Quantile",
+  equalInterval: "Equal interval",
+  jenks: "Natural breaks (Jenks)",
+};
+
+const CLASSED_TYPES = new Set(["quantile", "equalInterval", "jenks"]);
+
+export const isClassed = (type) => CLASSED_TYPES.has(type);
+
+export const CLASS_COUNTS = [3, 4, 5, 6, 7, 8, 9];
+
+// Percentiles that can be clipped from each end of the data
+export const CLIP_PERCENTS = [0, 1, 2, 5, 10];
+
+const MAX_JENKS_VALUES = 1000; // Larger inputs are sampled (Jenks is O(n²))
+
+// Fisher-Jenks natural breaks: class boundaries that minimise the variance
+// within classes. Returns the lower bound of every class after the first.
+export const jenksBreaks = (sorted, classCount) => {
+  const n = sorted.length;
+  // lower[l][j]: 1-based index of the first value in class j when the first
+  // l values are split into j classes; variance[l][j] the total variance
+  const lower = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () =>
+    new Array(classCount + 1).fill(Infinity),
+  );
+  for (let j = 1; j <= classCount; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let within = 0;
+    for (let m = 1; m <= l; m++) {
+      const first = l - m + 1;
+      const value = sorted[first - 1];
+      sum += value;
+      sumSquares += value * value;
+      within = sumSquares - (sum * sum) / m;
+      if (first > 1) {
+        for (let j = 2; j <= classCount; j++) {
+          if (variance[l][j] >= within + variance[first - 1][j - 1]) {
+            lower[l][j] = first;
+            variance[l][j] = within + variance[first - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = within;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = classCount; j >= 2; j--) {
+    const first = lower[end][j];
+    breaks.unshift(sorted[first - 1]);
+    end = first - 1;
+  }
+  return breaks;
+};
+
+// Evenly spread sample of a sorted array
+const sampleSorted = (sorted, size) =>
+  sorted.length <= size
+    ? sorted
+    : d3.range(size).map((i) => sorted[Math.round((i * (sorted.length - 1)) / (size - 1))]);
+
+// Thresholds between classes: a value at or above thresholds[i] is in
+// class i + 1
+const classThresholds = (type, clipped, low, high, classCount) => {
+  if (type === "equalInterval") {
+    return d3.range(1, classCount).map((i) => low + ((high - low) * i) / classCount);
+  }
+  if (type === "quantile") {
+    return d3.scaleQuantile().domain(clipped).range(d3.range(classCount)).quantiles();
+  }
+  return jenksBreaks(sampleSorted(clipped, MAX_JENKS_VALUES), classCount);
+};
+
+// Build the mapping for a set of values (every value the colours must
+// cover). Returns null when there is nothing above zero to show, or:
+//   {
+//     type, classed,
+//     domain: [low, high],       // after clipping
+//     clipped: { low, high },    // whether values were clipped at each end
+//     breaks: [b0, ..., bn],     // class boundaries (classed scales only)
+//     position(value) -> 0-1,    // place on the palette
+//     valueAt(position) -> value // inverse, for labels
+//   }
+export const buildClassifier = (values, { type, classCount, clip }) => {
+  const sorted = values.filter(Number.isFinite).sort(d3.ascending);
+  if (sorted.length === 0) return null;
+  const low = clip ? d3.quantileSorted(sorted, clip / 100) : sorted[0];
+  const high = clip ? d3.quantileSorted(sorted, 1 - clip / 100) : sorted[sorted.length - 1];
+  if (!(high > 0)) return null;
+  const clipped = {
+    low: low > sorted[0],
+    high: high < sorted[sorted.length - 1],
+  };
+
+  if (isClassed(type)) {
+    const clampedValues = sorted.map((value) => Math.min(high, Math.max(low, value)));
+    // No more classes than distinct values
+    const classes = Math.max(
+      1,
+      Math.min(classCount, new Set(clampedValues).size),
+    );
+    const thresholds =
+      classes > 1 ? classThresholds(type, clampedValues, low, high, classes) : [];
+    const breaks = [low, ...thresholds, high];
+    return {
+      type,
+      classed: true,
+      domain: [low, high],
+      clipped,
+      breaks,
+      position: (value) =>
+        classes > 1 ? d3.bisectRight(thresholds, value) / (classes - 1) : 1,
+      valueAt: (position) => breaks[Math.round(position * (classes - 1))],
+    };
+  }
+
+  // Continuous scales start at zero, as the heatmap always has; log scales
+  // start at the smallest positive value instead
+  const smallestPositive = sorted.find((value) => value > 0 && value >= low) ?? high;
+  const scale =
+    type === "log" && smallestPositive < high
+      ? d3.scaleLog().domain([smallestPositive, high])
+      : type === "sqrt"
+        ? d3.scaleSqrt().domain([0, high])
+        : d3.scaleLinear().domain([0, high]);
+  scale.clamp(true);
+  return {
+    type,
+    classed: false,
+    domain: scale.domain(),
+    clipped,
+    breaks: null,
+    position: (value) => {
+      const position = scale(value);
+      return Number.isFinite(position) ? position : 0; // Log of zero or less
+    },
+    valueAt: (position) => scale.invert(position),
+  };
+};
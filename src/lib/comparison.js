@@ -0,0 +1,71 @@
+// --- Period-over-Period Comparison ---
+//
+// Comparison mode shows how the active metric changed against a baseline:
+// either another sales period or another column of the current one (e.g.
+// "LY Sales" or "Budget"). Baselines are keyed "period:<id>" or
+// "metric:<metricKey>".
+import { formatMetricValue, listMetrics, SALES_METRIC } from "./metrics";
+import { NORMALIZATIONS } from "./normalization";
+
+export const CHANGE_TYPES = {
+  percent: "% change",
+  absolute: "Change",
+};
+
+const LAST_YEAR_PATTERN = /\b(ly|last\s*year|prev(ious)?\s*year|py)\b/i;
+
+// Baselines the active metric can be compared with: [{ key, label }]
+export const comparisonBaselines = (periods, currentPeriodId, metrics, activeMetric) => [
+  ...periods
+    .filter((period) => period.id !== currentPeriodId)
+    .map((period) => ({ key: `period:${period.id}`, label: period.label })),
+  ...listMetrics(metrics)
+    .filter((metric) => metric.key !== activeMetric)
+    .map((metric) => ({ key: `metric:${metric.key}`, label: metric.name })),
+];
+
+// Pick a sensible starting baseline: a last-year column if there is one,
+// otherwise the previous period, otherwise whatever comes first
+export const defaultBaseline = (baselines, periods, currentPeriodId) => {
+  const lastYear = baselines.find(
+    (baseline) => baseline.key.startsWith("metric:") && LAST_YEAR_PATTERN.test(baseline.label),
+  );
+  if (lastYear) return lastYear.key;
+  const index = periods.findIndex((period) => period.id === currentPeriodId);
+  if (index > 0) return `period:${periods[index - 1].id}`;
+  return baselines[0]?.key ?? null;
+};
+
+// Split a baseline key into { type: "period" | "metric", id }
+export const parseBaseline = (key) => {
+  const [type, ...rest] = String(key).split(":");
+  return { type, id: rest.join(":") || SALES_METRIC };
+};
+
+// Change from baseline to current for each department in both. Percent
+// change is left out where the baseline is zero.
+export const compareValues = (current, baseline, changeType) => {
+  const changes = {};
+  Object.entries(current).forEach(([name, value]) => {
+    const before = baseline[name];
+    if (before === undefined) return;
+    if (changeType === "percent") {
+      if (before !== 0) changes[name] = ((value - before) / Math.abs(before)) * 100;
+    } else {
+      changes[name] = value - before;
+    }
+  });
+  return changes;
+};
+
+// Format a change with its sign: "+12.4%", "-$1,250", "+$3.10/m²"
+export const formatChange = (value, changeType, format, normalization) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return "–";
+  const sign = value > 0 ? "+" : value < 0 ? "-" : "±";
+  if (changeType === "percent") {
+    return `${sign}${Math.abs(value).toLocaleString(undefined, {
+      maximumFractionDigits: 1,
+    })}%`;
+  }
+  return `${sign}${formatMetricValue(Math.abs(value), format)}${NORMALIZATIONS[normalization].suffix}`;
+};
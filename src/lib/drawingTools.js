@@ -0,0 +1,128 @@
+// --- Drawing Tools ---
+//
+// Shapes for tracing departments in draw mode, and snapping so neighbouring
+// departments can share walls exactly. All points are { x, y } in floor
+// plan image pixels, matching dept.coords.
+import { closestPointOnSegment, distance } from "./geometry";
+
+export const DRAWING_TOOLS = {
+  points: "Click points",
+  rectangle: "Rectangle",
+  ellipse: "Ellipse",
+  lasso: "Freehand lasso",
+  wand: "Magic wand", // See magicWand.js
+};
+
+// Tools that are dragged out rather than clicked
+const SHAPE_TOOLS = new Set(["rectangle", "ellipse", "lasso"]);
+
+export const isShapeTool = (tool) => SHAPE_TOOLS.has(tool);
+
+// Grid spacings on offer, in plan pixels (0 = no grid)
+export const GRID_SIZES = [0, 5, 10, 20, 25, 50, 100];
+
+export const DEFAULT_SNAP = { grid: 0, vertices: true, edges: true };
+
+const ELLIPSE_SEGMENTS = 32;
+
+// --- Shapes ---
+
+// Corners of the rectangle with opposite corners a and b, clockwise
+export const rectanglePoints = (a, b) => [
+  { x: a.x, y: a.y },
+  { x: b.x, y: a.y },
+  { x: b.x, y: b.y },
+  { x: a.x, y: b.y },
+];
+
+// Polygon approximating the ellipse inside the box with corners a and b
+export const ellipsePoints = (a, b, segments = ELLIPSE_SEGMENTS) => {
+  const cx = (a.x + b.x) / 2;
+  const cy = (a.y + b.y) / 2;
+  const rx = Math.abs(b.x - a.x) / 2;
+  const ry = Math.abs(b.y - a.y) / 2;
+  return Array.from({ length: segments }, (_, i) => {
+    const angle = (i / segments) * Math.PI * 2;
+    return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+  });
+};
+
+// Drop points of a freehand path that lie within `tolerance` of the line
+// through their neighbours (Ramer-Douglas-Peucker), leaving the corners
+export const simplifyPath = (points, tolerance) => {
+  if (points.length < 3) return points.slice();
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const d = distance(
+        points[i],
+        closestPointOnSegment(points[i], points[first], points[last]),
+      );
+      if (d > farthestDistance) {
+        farthest = i;
+        farthestDistance = d;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+};
+
+// --- Snapping ---
+
+// Snap a point to the nearest vertex of any outline within `radius`, else
+// the nearest point on any of their edges, else the grid (when on).
+// `outlines` are closed rings of points, e.g. the other departments' coords.
+// Returns { point, target: 'vertex' | 'edge' | 'grid' | null }.
+export const snapPoint = (point, outlines, { grid, vertices, edges }, radius) => {
+  const rings = outlines.filter((coords) => coords && coords.length > 0);
+
+  if (vertices) {
+    let nearest = null;
+    let nearestDistance = radius;
+    rings.forEach((coords) =>
+      coords.forEach((vertex) => {
+        const d = distance(point, vertex);
+        if (d <= nearestDistance) {
+          nearest = vertex;
+          nearestDistance = d;
+        }
+      }),
+    );
+    if (nearest) return { point: { x: nearest.x, y: nearest.y }, target: "vertex" };
+  }
+
+  if (edges) {
+    let nearest = null;
+    let nearestDistance = radius;
+    rings
+      .filter((coords) => coords.length >= 2)
+      .forEach((coords) =>
+        coords.forEach((vertex, i) => {
+          const onEdge = closestPointOnSegment(point, vertex, coords[(i + 1) % coords.length]);
+          const d = distance(point, onEdge);
+          if (d <= nearestDistance) {
+            nearest = onEdge;
+            nearestDistance = d;
+          }
+        }),
+      );
+    if (nearest) return { point: nearest, target: "edge" };
+  }
+
+  if (grid > 0) {
+    return {
+      point: { x: Math.round(point.x / grid) * grid, y: Math.round(point.y / grid) * grid },
+      target: "grid",
+    };
+  }
+  return { point, target: null };
+};
@@ -0,0 +1,266 @@
+// --- DXF Floor Plans ---
+//
+// Shopfitters send CAD plans as DXF. The drawing's lines and polylines are
+// rendered onto a canvas as the floor plan image, and closed polylines on a
+// chosen layer can be taken as department outlines, named by any text drawn
+// inside them. Only ASCII DXF is read; blocks (INSERT), arcs, curves and
+// hatches are not drawn, and polyline bulges are drawn straight.
+import { applyTransform, pointInPolygon } from "./geometry";
+
+export const DXF_SIZES = [2000, 3000, 4000]; // Long side of the rendered plan, px
+export const DEFAULT_DXF_SIZE = 3000;
+const MARGIN = 20; // px of white around the drawing
+const LINE_WIDTH = 1.5; // px
+const LINE_COLOR = "#1f2937";
+// Layer names that usually hold bay or department outlines
+const DEPARTMENT_LAYER = /dept|department|bay|zone|area|space|room/i;
+
+export const isDxfFile = (file) => /\.dxf$/i.test(file.name);
+
+// Group code / value pairs of an ASCII DXF: [[code, value]]
+const readPairs = (text) => {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (Number.isNaN(code)) {
+      throw new Error("The DXF file is damaged or not an ASCII DXF.");
+    }
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+};
+
+// Entities of the ENTITIES section: [{ type, groups: [[code, value]] }]
+const readEntities = (pairs) => {
+  const entities = [];
+  let section = null;
+  let entity = null;
+  pairs.forEach(([code, value], i) => {
+    if (code === 0 && value === "SECTION") {
+      section = pairs[i + 1]?.[0] === 2 ? pairs[i + 1][1] : null;
+      return;
+    }
+    if (section !== "ENTITIES") return;
+    if (code === 0) {
+      if (value === "ENDSEC") {
+        section = null;
+        entity = null;
+        return;
+      }
+      entity = { type: value, groups: [] };
+      entities.push(entity);
+    } else if (entity) {
+      entity.groups.push([code, value]);
+    }
+  });
+  return entities;
+};
+
+const groupValue = (entity, code, fallback = null) =>
+  entity.groups.find(([groupCode]) => groupCode === code)?.[1] ?? fallback;
+
+const groupNumber = (entity, code, fallback = 0) => {
+  const value = parseFloat(groupValue(entity, code));
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Vertices of a lightweight polyline: every 10 (x) group and the 20 (y)
+// group after it
+const lightweightVertices = (entity) => {
+  const points = [];
+  entity.groups.forEach(([code, value]) => {
+    if (code === 10) points.push({ x: parseFloat(value), y: 0 });
+    if (code === 20 && points.length > 0) points[points.length - 1].y = parseFloat(value);
+  });
+  return points;
+};
+
+// Text of a TEXT or MTEXT entity, without MTEXT formatting codes
+const entityText = (entity) => {
+  const chunks = entity.groups
+    .filter(([code]) => code === 3 || code === 1)
+    .map(([, value]) => value)
+    .join("");
+  return chunks
+    .replace(/\\P/g, " ")
+    .replace(/\\[A-Za-z][^;\\{}]*;/g, "")
+    .replace(/\\[~ ]/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+// A path closes when flagged so or when it ends where it started
+const makePath = (layer, points, flaggedClosed) => {
+  const valid = points.filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y));
+  const first = valid[0];
+  const last = valid[valid.length - 1];
+  const endsAtStart = valid.length > 3 && first.x === last.x && first.y === last.y;
+  return {
+    layer,
+    points: endsAtStart ? valid.slice(0, -1) : valid,
+    closed: flaggedClosed || endsAtStart,
+  };
+};
+
+// Read an ASCII DXF into
+//   {
+//     paths: [{ layer, points: [{ x, y }], closed }], // lines and polylines
+//     texts: [{ text, point }],
+//     bounds: { minX, maxX, minY, maxY },
+//   }
+// in drawing units, y pointing up. Throws when there is nothing to draw.
+export const parseDxf = (text) => {
+  if (text.startsWith("AutoCAD Binary DXF")) {
+    throw new Error("Binary DXF files are not supported. Save the drawing as ASCII DXF.");
+  }
+  const entities = readEntities(readPairs(text));
+  const paths = [];
+  const texts = [];
+  let polyline = null; // Old-style POLYLINE collecting its VERTEX entities
+
+  entities.forEach((entity) => {
+    const layer = groupValue(entity, 8, "0");
+    switch (entity.type) {
+      case "LINE":
+        paths.push(
+          makePath(layer, [
+            { x: groupNumber(entity, 10, NaN), y: groupNumber(entity, 20, NaN) },
+            { x: groupNumber(entity, 11, NaN), y: groupNumber(entity, 21, NaN) },
+          ]),
+        );
+        break;
+      case "LWPOLYLINE":
+        paths.push(
+          makePath(layer, lightweightVertices(entity), (groupNumber(entity, 70) & 1) === 1),
+        );
+        break;
+      case "POLYLINE":
+        polyline = { layer, points: [], closed: (groupNumber(entity, 70) & 1) === 1 };
+        break;
+      case "VERTEX":
+        // Skip spline control points (16) and polyface face records (128)
+        if (polyline && (groupNumber(entity, 70) & (16 | 128)) === 0) {
+          polyline.points.push({
+            x: groupNumber(entity, 10, NaN),
+            y: groupNumber(entity, 20, NaN),
+          });
+        }
+        break;
+      case "SEQEND":
+        if (polyline) paths.push(makePath(polyline.layer, polyline.points, polyline.closed));
+        polyline = null;
+        break;
+      case "TEXT":
+      case "MTEXT": {
+        const label = entityText(entity);
+        if (label) {
+          texts.push({
+            text: label,
+            point: { x: groupNumber(entity, 10), y: groupNumber(entity, 20) },
+          });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  const drawn = paths.filter((path) => path.points.length >= 2);
+  if (drawn.length === 0) {
+    throw new Error("The DXF file has no lines or polylines to draw.");
+  }
+  // A loop rather than Math.min(...), which overflows on large drawings
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+  drawn.forEach((path) =>
+    path.points.forEach(({ x, y }) => {
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxY = Math.max(bounds.maxY, y);
+    }),
+  );
+  return { paths: drawn, texts, bounds };
+};
+
+// Number of closed polylines on each layer that has any: { layer: count }
+export const closedPathCounts = (drawing) =>
+  drawing.paths.reduce((counts, path) => {
+    if (path.closed && path.points.length >= 3) {
+      counts[path.layer] = (counts[path.layer] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+// Layer most likely to hold the department outlines, or null
+export const guessDepartmentLayer = (drawing) =>
+  Object.keys(closedPathCounts(drawing)).find((layer) => DEPARTMENT_LAYER.test(layer)) ?? null;
+
+// Transform from drawing units to the pixels of a plan rendered with its
+// long side `size` px, flipping y to point down
+const dxfTransform = ({ bounds }, size) => {
+  const span = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 1;
+  const scale = (size - 2 * MARGIN) / span;
+  return {
+    a: scale,
+    b: 0,
+    c: MARGIN - bounds.minX * scale,
+    d: 0,
+    e: -scale,
+    f: MARGIN + bounds.maxY * scale,
+  };
+};
+
+// Pixel size of the plan rendered with its long side `size` px
+export const dxfImageSize = (drawing, size) => {
+  const { bounds } = drawing;
+  const { a: scale } = dxfTransform(drawing, size);
+  return {
+    width: Math.ceil((bounds.maxX - bounds.minX) * scale + 2 * MARGIN),
+    height: Math.ceil((bounds.maxY - bounds.minY) * scale + 2 * MARGIN),
+  };
+};
+
+// PNG data URL of the drawing rendered with its long side `size` px
+export const renderDxf = (drawing, size) => {
+  const transform = dxfTransform(drawing, size);
+  const canvas = document.createElement("canvas");
+  Object.assign(canvas, dxfImageSize(drawing, size));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.strokeStyle = LINE_COLOR;
+  ctx.lineWidth = LINE_WIDTH;
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  drawing.paths.forEach(({ points, closed }) => {
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      const { x, y } = applyTransform(transform, point);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    if (closed) ctx.closePath();
+    ctx.stroke();
+  });
+  return canvas.toDataURL("image/png");
+};
+
+// Closed polylines on a layer as shapes, [{ id, label, coords }], with
+// coords in the pixels of the plan rendered at `size`. Each is labelled by
+// the first text inside it, else by its layer and number.
+export const dxfLayerShapes = (drawing, layer, size) => {
+  const transform = dxfTransform(drawing, size);
+  return drawing.paths
+    .filter((path) => path.layer === layer && path.closed && path.points.length >= 3)
+    .map((path, i) => {
+      const inside = drawing.texts.find(({ point }) => pointInPolygon(point, path.points));
+      return {
+        id: null,
+        label: inside?.text || `${layer} ${i + 1}`,
+        coords: path.points.map((point) => applyTransform(transform, point)),
+      };
+    });
+};
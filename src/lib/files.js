@@ -0,0 +1,37 @@
+// --- File & Image Helpers ---
+
+// Load an image from a URL (usually a data URL) and resolve once it has decoded
+export const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load the image."));
+    img.src = src;
+  });
+
+// Read a File/Blob as a data URL
+export const readFileAsDataURL = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error("Failed to read the file."));
+    reader.readAsDataURL(file);
+  });
+
+// Read a File/Blob as text
+export const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error("Failed to read the file."));
+    reader.readAsText(file);
+  });
+
+// Read a File/Blob as an ArrayBuffer
+export const readFileAsArrayBuffer = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error("Failed to read the file."));
+    reader.readAsArrayBuffer(file);
+  });
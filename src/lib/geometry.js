@@ -0,0 +1,259 @@
+// --- Geometry Helpers ---
+//
+// All points are { x, y } in floor plan image pixels, matching dept.coords.
+
+// --- Affine Transforms ---
+//
+// A transform is { a, b, c, d, e, f } mapping a point to
+//   x' = a * x + b * y + c
+//   y' = d * x + e * y + f
+
+export const IDENTITY_TRANSFORM = { a: 1, b: 0, c: 0, d: 0, e: 1, f: 0 };
+
+export const applyTransform = (t, point) => ({
+  x: t.a * point.x + t.b * point.y + t.c,
+  y: t.d * point.x + t.e * point.y + t.f,
+});
+
+// Stretch one image size onto another
+export const scaleTransform = (fromWidth, fromHeight, toWidth, toHeight) => ({
+  a: toWidth / fromWidth,
+  b: 0,
+  c: 0,
+  d: 0,
+  e: toHeight / fromHeight,
+  f: 0,
+});
+
+// Solve a 3x3 linear system m * v = r with Cramer's rule (null if singular)
+const solve3 = (m, r) => {
+  const det = (k) =>
+    k[0][0] * (k[1][1] * k[2][2] - k[1][2] * k[2][1]) -
+    k[0][1] * (k[1][0] * k[2][2] - k[1][2] * k[2][0]) +
+    k[0][2] * (k[1][0] * k[2][1] - k[1][1] * k[2][0]);
+  const d = det(m);
+  if (Math.abs(d) < 1e-9) return null;
+  return [0, 1, 2].map((col) =>
+    det(m.map((row, i) => row.map((value, j) => (j === col ? r[i] : value)))) / d,
+  );
+};
+
+// Smallest (narrow / wide)² of reference points that still fits a warp.
+// For three or more points it is the determinant of their covariance over
+// its squared trace; for two, their separation over that of the matching
+// points or the plan's size, squared. Points clicked nearly in a line, or
+// nearly on top of each other, pass an absolute test but give a wildly
+// skewed, scaled or rotated warp.
+const MIN_SPREAD_RATIO = 1e-3;
+
+// Whether points lie (nearly) in a straight line, relative to their spread
+const isNearlyCollinear = (points) => {
+  const n = points.length;
+  const mx = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const my = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.x - mx) ** 2;
+    syy += (p.y - my) ** 2;
+    sxy += (p.x - mx) * (p.y - my);
+  }
+  const trace = sxx + syy;
+  return trace === 0 || (sxx * syy - sxy * sxy) / (trace * trace) < MIN_SPREAD_RATIO;
+};
+
+// Find the transform that best maps each `from` point onto its `to` point.
+//   1 pair   - translation only
+//   2 pairs  - similarity (uniform scale, rotation and translation)
+//   3+ pairs - full affine, least-squares fitted when over-determined
+// `extent` is the size (e.g. diagonal) of the plan the `from` points are on,
+// in px. Returns null when the points are degenerate: coincident, too close
+// together, or nearly collinear.
+export const solveTransform = (pairs, extent = 0) => {
+  if (pairs.length === 0) return null;
+
+  if (pairs.length === 1) {
+    const [{ from, to }] = pairs;
+    return { ...IDENTITY_TRANSFORM, c: to.x - from.x, f: to.y - from.y };
+  }
+
+  if (pairs.length === 2) {
+    const [p, q] = pairs;
+    const fx = q.from.x - p.from.x;
+    const fy = q.from.y - p.from.y;
+    const tx = q.to.x - p.to.x;
+    const ty = q.to.y - p.to.y;
+    const lengthSq = fx * fx + fy * fy;
+    const targetLengthSq = tx * tx + ty * ty;
+    const largestSq = Math.max(lengthSq, targetLengthSq, extent * extent);
+    if (lengthSq < 1e-9 || Math.min(lengthSq, targetLengthSq) < MIN_SPREAD_RATIO * largestSq) {
+      return null;
+    }
+    // Complex division (tx + i ty) / (fx + i fy) gives scale * rotation
+    const a = (tx * fx + ty * fy) / lengthSq;
+    const b = (ty * fx - tx * fy) / lengthSq;
+    return {
+      a,
+      b: -b,
+      c: p.to.x - (a * p.from.x - b * p.from.y),
+      d: b,
+      e: a,
+      f: p.to.y - (b * p.from.x + a * p.from.y),
+    };
+  }
+
+  if (isNearlyCollinear(pairs.map((pair) => pair.from))) return null;
+
+  // Normal equations for [a b c] and [d e f] over rows [x y 1]
+  const m = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  const rx = [0, 0, 0];
+  const ry = [0, 0, 0];
+  for (const { from, to } of pairs) {
+    const row = [from.x, from.y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j];
+      rx[i] += row[i] * to.x;
+      ry[i] += row[i] * to.y;
+    }
+  }
+  const abc = solve3(m, rx);
+  const def = solve3(m, ry);
+  if (!abc || !def) return null;
+  return { a: abc[0], b: abc[1], c: abc[2], d: def[0], e: def[1], f: def[2] };
+};
+
+// Apply a transform to every outline point of every department
+export const transformDepartments = (departments, t) =>
+  departments.map((dept) => ({
+    ...dept,
+    coords: dept.coords.map((point) => applyTransform(t, point)),
+  }));
+
+// --- Measurement ---
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Area enclosed by a polygon outline (shoelace formula), in square pixels
+export const polygonArea = (coords) => {
+  if (coords.length < 3) return 0;
+  let twiceArea = 0;
+  coords.forEach((point, i) => {
+    const next = coords[(i + 1) % coords.length];
+    twiceArea += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(twiceArea) / 2;
+};
+
+// Length of a closed outline, in pixels
+export const polygonPerimeter = (coords) =>
+  coords.reduce((sum, point, i) => sum + distance(point, coords[(i + 1) % coords.length]), 0);
+
+// Area-weighted centre of a polygon; falls back to the vertex average for
+// degenerate outlines
+export const polygonCentroid = (coords) => {
+  let twiceArea = 0;
+  let x = 0;
+  let y = 0;
+  coords.forEach((point, i) => {
+    const next = coords[(i + 1) % coords.length];
+    const cross = point.x * next.y - next.x * point.y;
+    twiceArea += cross;
+    x += (point.x + next.x) * cross;
+    y += (point.y + next.y) * cross;
+  });
+  if (Math.abs(twiceArea) < 1e-9) {
+    return {
+      x: coords.reduce((sum, point) => sum + point.x, 0) / coords.length,
+      y: coords.reduce((sum, point) => sum + point.y, 0) / coords.length,
+    };
+  }
+  return { x: x / (3 * twiceArea), y: y / (3 * twiceArea) };
+};
+
+// Point on the segment from a to b nearest to `point`
+export const closestPointOnSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return { x: a.x, y: a.y };
+  const t = Math.max(
+    0,
+    Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared),
+  );
+  return { x: a.x + t * dx, y: a.y + t * dy };
+};
+
+// Point where the segments a-b and c-d cross, or null. Segments that only
+// touch at an end, or run along each other, do not count as crossing.
+export const segmentIntersection = (a, b, c, d) => {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denominator = rx * sy - ry * sx;
+  if (Math.abs(denominator) < 1e-12) return null; // Parallel
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denominator;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denominator;
+  const inside = (k) => k > 1e-9 && k < 1 - 1e-9;
+  if (!inside(t) || !inside(u)) return null;
+  return { x: a.x + t * rx, y: a.y + t * ry };
+};
+
+// --- Hit Testing ---
+
+// Whether a point lies inside a polygon outline (even-odd ray casting)
+export const pointInPolygon = (point, coords) => {
+  let inside = false;
+  for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
+    const a = coords[i];
+    const b = coords[j];
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Index of the department under a point, or null. Later departments are
+// drawn on top, so they win where outlines overlap.
+export const departmentAt = (point, departments) => {
+  for (let i = departments.length - 1; i >= 0; i--) {
+    const { coords } = departments[i];
+    if (coords && coords.length >= 3 && pointInPolygon(point, coords)) return i;
+  }
+  return null;
+};
+
+// Index of the point nearest to `point` within `radius`, or null
+export const nearestVertex = (point, coords, radius) => {
+  let nearest = null;
+  let nearestDistance = radius;
+  coords.forEach((vertex, i) => {
+    const d = distance(point, vertex);
+    if (d <= nearestDistance) {
+      nearest = i;
+      nearestDistance = d;
+    }
+  });
+  return nearest;
+};
+
+// --- Editing ---
+
+// Middle of each edge of a closed outline; edge i runs from vertex i to i + 1
+export const edgeMidpoints = (coords) =>
+  coords.map((vertex, i) => {
+    const next = coords[(i + 1) % coords.length];
+    return { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2 };
+  });
+
+export const translatePoints = (coords, dx, dy) =>
+  coords.map((point) => ({ x: point.x + dx, y: point.y + dy }));
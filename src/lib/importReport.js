@@ -0,0 +1,47 @@
+// --- Import Validation Report ---
+//
+// Combines the problems found while reading a sales file (the issues from
+// extractSalesData) with how well the imported departments match the traced
+// floor plan, so missing revenue is obvious before reading the heatmap.
+
+// Departments with a usable outline (at least three points)
+const tracedNames = (departments) =>
+  new Set(
+    departments.filter((dept) => dept.coords.length >= 3).map((dept) => dept.name),
+  );
+
+// Match the imported sales against the plan:
+//   { notOnPlan: [name], notInFile: [name], totalSales, mappedSales, coverage }
+// coverage is the share (0-1) of total sales that lands on a traced
+// department, or null when there are no positive sales to compare.
+// Negative sales (returns) are left out so coverage never passes 100%.
+export const planCoverage = (salesData, departments) => {
+  const onPlan = tracedNames(departments);
+  const names = Object.keys(salesData || {});
+  const sumSales = (list) =>
+    list.reduce((sum, name) => sum + Math.max(0, salesData[name]), 0);
+  const totalSales = sumSales(names);
+  const mappedSales = sumSales(names.filter((name) => onPlan.has(name)));
+
+  return {
+    notOnPlan: names.filter((name) => !onPlan.has(name)).sort(),
+    notInFile: [...onPlan].filter((name) => !(name in (salesData || {}))).sort(),
+    totalSales,
+    mappedSales,
+    coverage: totalSales > 0 ? mappedSales / totalSales : null,
+  };
+};
+
+// Number of problems found in the file itself
+export const countIssues = (issues) =>
+  issues.duplicates.length +
+  issues.invalidValues.length +
+  issues.negativeValues.length +
+  issues.blankNames.length +
+  issues.totalRows.length;
+
+// Describe a run of row numbers, e.g. "rows 4, 9 and 12"
+export const describeRows = (rows) =>
+  rows.length === 1
+    ? `row ${rows[0]}`
+    : `rows ${rows.slice(0, -1).join(", ")} and ${rows[rows.length - 1]}`;
@@ -0,0 +1,207 @@
+// --- Layout Checks ---
+//
+// Geometry problems in the traced layout that make floor space wrong:
+// outlines that cross themselves (bow ties), departments that overlap, so
+// their shared floor is counted twice when normalising by area, and slivers
+// too small or thin to be a real department. Overlaps are worked out with
+// polygon-clipping; departments that only share a wall do not overlap.
+import polygonClipping from "polygon-clipping";
+import {
+  polygonArea,
+  polygonPerimeter,
+  segmentIntersection,
+} from "./geometry";
+
+const MIN_OVERLAP_AREA = 1; // px²; smaller overlaps are rounding along shared walls
+const SLIVER_MIN_AREA = 100; // px², about 10 x 10 px
+const SLIVER_MIN_COMPACTNESS = 0.05; // 4πA/P²: 1 for a circle, about 0.06 for a 1:50 strip
+
+const isTraced = (dept) => dept.coords && dept.coords.length >= 3;
+
+// Outline as a polygon-clipping polygon: [[[x, y], ...]]
+const toPolygon = (coords) => [coords.map((point) => [point.x, point.y])];
+
+// Outer rings of a polygon-clipping MultiPolygon as outlines, dropping the
+// repeated closing point
+const toOutlines = (multiPolygon) =>
+  multiPolygon.map(([outer]) => outer.slice(0, -1).map(([x, y]) => ({ x, y })));
+
+// Area of a polygon-clipping ring ([[x, y], ...]), in square pixels
+const ringArea = (ring) => polygonArea(ring.map(([x, y]) => ({ x, y })));
+
+const multiPolygonArea = (multiPolygon) =>
+  multiPolygon.reduce(
+    (sum, [outer, ...holes]) =>
+      sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0),
+    0,
+  );
+
+const bounds = (coords) => ({
+  minX: Math.min(...coords.map((point) => point.x)),
+  maxX: Math.max(...coords.map((point) => point.x)),
+  minY: Math.min(...coords.map((point) => point.y)),
+  maxY: Math.max(...coords.map((point) => point.y)),
+});
+
+const boundsOverlap = (a, b) =>
+  a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+
+// Points where an outline crosses itself
+export const selfIntersections = (coords) => {
+  const crossings = [];
+  const n = coords.length;
+  for (let i = 0; i < n; i++) {
+    // Neighbouring edges share a vertex, so start two edges on and skip
+    // the last edge when pairing it with the first
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      const crossing = segmentIntersection(
+        coords[i],
+        coords[(i + 1) % n],
+        coords[j],
+        coords[(j + 1) % n],
+      );
+      if (crossing) crossings.push(crossing);
+    }
+  }
+  return crossings;
+};
+
+// --- Cached Geometry ---
+//
+// The layout is re-checked on every change, including each frame of a
+// vertex drag. Outlines are never changed in place (an edit gives the
+// department a new coords array), so results are cached per coords array:
+// while one department is being edited, only its own checks and the pairs
+// it belongs to are worked out again.
+const outlineCache = new WeakMap(); // coords -> { crossings, area, sliver, bounds }
+const overlapCache = new WeakMap(); // coords -> WeakMap(other coords -> overlap | null)
+
+const outlineFacts = (coords) => {
+  if (!outlineCache.has(coords)) {
+    const crossings = selfIntersections(coords);
+    const area = polygonArea(coords);
+    const compactness = (4 * Math.PI * area) / polygonPerimeter(coords) ** 2;
+    outlineCache.set(coords, {
+      crossings,
+      area,
+      // The area of a crossed outline means nothing, so no sliver check
+      sliver:
+        crossings.length === 0 &&
+        (area < SLIVER_MIN_AREA || !(compactness >= SLIVER_MIN_COMPACTNESS)),
+      bounds: bounds(coords),
+    });
+  }
+  return outlineCache.get(coords);
+};
+
+// Floor two outlines share: { area, regions }, or null when they only
+// meet along a wall (or the clipper cannot handle a degenerate outline)
+const sharedFloor = (first, second) => {
+  if (!overlapCache.has(first)) overlapCache.set(first, new WeakMap());
+  const cached = overlapCache.get(first);
+  if (!cached.has(second)) {
+    let overlap = null;
+    try {
+      const shared = polygonClipping.intersection(toPolygon(first), toPolygon(second));
+      const area = multiPolygonArea(shared);
+      if (area >= MIN_OVERLAP_AREA) overlap = { area, regions: toOutlines(shared) };
+    } catch {
+      // Degenerate outline; nothing to report
+    }
+    cached.set(second, overlap);
+  }
+  return cached.get(second);
+};
+
+// Check every traced department. Returns
+//   {
+//     issues: { deptId: [issue] },      // see below
+//     overlaps: [{ a, b, area, regions: [[{ x, y }]] }], // a and b are indexes
+//     crossings: [{ x, y }],            // every self-intersection
+//     count,                            // departments with at least one issue
+//   }
+// where an issue is one of
+//   { type: "selfIntersection", points }
+//   { type: "overlap", otherId, otherName, share } // share of this department's area
+//   { type: "sliver", area }
+export const checkLayout = (departments) => {
+  const issues = {};
+  const addIssue = (dept, issue) => {
+    (issues[dept.id] ??= []).push(issue);
+  };
+  const crossings = [];
+
+  const traced = departments
+    .map((dept, index) => ({ dept, index }))
+    .filter(({ dept }) => isTraced(dept))
+    .map((entry) => ({ ...entry, facts: outlineFacts(entry.dept.coords) }));
+
+  traced.forEach(({ dept, facts }) => {
+    if (facts.crossings.length > 0) {
+      addIssue(dept, { type: "selfIntersection", points: facts.crossings });
+      crossings.push(...facts.crossings);
+    } else if (facts.sliver) {
+      addIssue(dept, { type: "sliver", area: facts.area });
+    }
+  });
+
+  // Pairs whose bounding boxes do not meet cannot overlap, which skips
+  // most of the (slower) clipping
+  const overlaps = [];
+  traced.forEach((first, i) =>
+    traced.slice(i + 1).forEach((second) => {
+      if (!boundsOverlap(first.facts.bounds, second.facts.bounds)) return;
+      const shared = sharedFloor(first.dept.coords, second.dept.coords);
+      if (!shared) return;
+      const { area, regions } = shared;
+      overlaps.push({ a: first.index, b: second.index, area, regions });
+      [
+        [first, second],
+        [second, first],
+      ].forEach(([{ dept, facts }, { dept: other }]) =>
+        addIssue(dept, {
+          type: "overlap",
+          otherId: other.id,
+          otherName: other.name,
+          share: area / Math.max(facts.area, area),
+        }),
+      );
+    }),
+  );
+
+  return { issues, overlaps, crossings, count: Object.keys(issues).length };
+};
+
+// Cut away every part of `coords` covered by the `others` outlines.
+// Returns { coords, hole }: the outline left (the largest piece when the
+// department splits; null when nothing is left), and whether the cut would
+// be a hole, as a neighbour lies wholly inside the department. An outline
+// cannot have holes, so the outline returned then is the uncut one.
+export const clipOutline = (coords, others) => {
+  const clipped = polygonClipping.difference(
+    toPolygon(coords),
+    ...others.filter((other) => other && other.length >= 3).map(toPolygon),
+  );
+  if (clipped.length === 0) return { coords: null, hole: false };
+  const largest = clipped.reduce((best, polygon) =>
+    ringArea(polygon[0]) > ringArea(best[0]) ? polygon : best,
+  );
+  return { coords: toOutlines([largest])[0], hole: largest.length > 1 };
+};
+
+// One-line description of an issue, for warnings
+export const describeIssue = (issue) => {
+  switch (issue.type) {
+    case "selfIntersection":
+      return issue.points.length === 1
+        ? "Outline crosses itself"
+        : `Outline crosses itself in ${issue.points.length} places`;
+    case "overlap": {
+      const percent = Math.round(issue.share * 100);
+      return `Overlaps ${issue.otherName} (${percent < 1 ? "under 1" : percent}% of its area)`;
+    }
+    default:
+      return "Sliver: too small or thin to be a department";
+  }
+};
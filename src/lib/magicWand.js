@@ -0,0 +1,140 @@
+// --- Magic Wand ---
+//
+// Traces a department from the floor plan image itself: flood-fill the
+// pixels around a clicked point that are close in colour to it (the floor of
+// a bay, bounded by its walls), outline the filled region with d3-contour
+// and simplify the outline into coords. Everything runs on the image's own
+// pixels in the browser.
+import * as d3 from "d3";
+import polygonClipping from "polygon-clipping";
+import { simplifyPath } from "./drawingTools";
+import { polygonArea } from "./geometry";
+
+export const DEFAULT_WAND_TOLERANCE = 32; // Largest difference per colour channel (0-255)
+export const MAX_WAND_TOLERANCE = 128;
+
+export const WAND_MODES = {
+  replace: "New",
+  add: "Add",
+  subtract: "Subtract",
+};
+
+const OUTLINE_TOLERANCE = 1.5; // px the simplified outline may stray from the region's edge
+
+// Pixels of an image, for flood filling: ImageData
+export const readImagePixels = (image) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+};
+
+// Fill outwards (4-connected) from `seed` over pixels whose every channel,
+// alpha included, is within `tolerance` of the seed pixel. Returns null for
+// a seed off the image, or:
+//   { mask (1 = filled, row by row), width, height, count,
+//     bounds: { minX, maxX, minY, maxY }, touchesEdge }
+// touchesEdge is a sign the fill leaked out through a gap in a wall.
+export const floodFill = (imageData, seed, tolerance) => {
+  const { data, width, height } = imageData;
+  const seedX = Math.floor(seed.x);
+  const seedY = Math.floor(seed.y);
+  if (seedX < 0 || seedY < 0 || seedX >= width || seedY >= height) return null;
+
+  const seedOffset = (seedY * width + seedX) * 4;
+  const target = data.slice(seedOffset, seedOffset + 4);
+  const matches = (pixel) => {
+    const offset = pixel * 4;
+    for (let channel = 0; channel < 4; channel++) {
+      if (Math.abs(data[offset + channel] - target[channel]) > tolerance) return false;
+    }
+    return true;
+  };
+
+  const mask = new Uint8Array(width * height);
+  const bounds = { minX: seedX, maxX: seedX, minY: seedY, maxY: seedY };
+  const stack = [seedY * width + seedX];
+  mask[stack[0]] = 1;
+  let count = 0;
+  while (stack.length > 0) {
+    const pixel = stack.pop();
+    const x = pixel % width;
+    const y = (pixel - x) / width;
+    count++;
+    if (x < bounds.minX) bounds.minX = x;
+    if (x > bounds.maxX) bounds.maxX = x;
+    if (y < bounds.minY) bounds.minY = y;
+    if (y > bounds.maxY) bounds.maxY = y;
+    const visit = (next) => {
+      if (!mask[next] && matches(next)) {
+        mask[next] = 1;
+        stack.push(next);
+      }
+    };
+    if (x > 0) visit(pixel - 1);
+    if (x < width - 1) visit(pixel + 1);
+    if (y > 0) visit(pixel - width);
+    if (y < height - 1) visit(pixel + width);
+  }
+
+  const touchesEdge =
+    bounds.minX === 0 ||
+    bounds.minY === 0 ||
+    bounds.maxX === width - 1 ||
+    bounds.maxY === height - 1;
+  return { mask, width, height, count, bounds, touchesEdge };
+};
+
+// Outline of a filled region as coords: the outer edge of its largest
+// piece, with any holes (fixtures drawn inside the bay) ignored. Null when
+// the region is too small to outline.
+export const traceRegion = ({ mask, width, bounds }) => {
+  // Contour only the region's bounding box, padded by one empty pixel all
+  // round so the outline closes
+  const left = bounds.minX - 1;
+  const top = bounds.minY - 1;
+  const cols = bounds.maxX - bounds.minX + 3;
+  const rows = bounds.maxY - bounds.minY + 3;
+  const cropped = new Uint8Array(cols * rows);
+  for (let y = bounds.minY; y <= bounds.maxY; y++) {
+    for (let x = bounds.minX; x <= bounds.maxX; x++) {
+      cropped[(y - top) * cols + (x - left)] = mask[y * width + x];
+    }
+  }
+
+  const [contour] = d3.contours().size([cols, rows]).thresholds([0.5])(cropped);
+  const rings = contour.coordinates.map(([outer]) =>
+    outer.slice(0, -1).map(([x, y]) => ({ x: x + left, y: y + top })),
+  );
+  if (rings.length === 0) return null;
+  const largest = rings.reduce((best, ring) =>
+    polygonArea(ring) > polygonArea(best) ? ring : best,
+  );
+  const outline = simplifyPath([...largest, largest[0]], OUTLINE_TOLERANCE).slice(0, -1);
+  return outline.length >= 3 ? outline : null;
+};
+
+// Add a traced region to an outline, or cut it out. Returns
+//   { coords, separate }
+// coords is the new outline, or null when nothing is left or the region is
+// separate: an added region that does not touch the outline, usually as a
+// wall lies between them, which would leave two pieces. A cut that splits
+// the outline keeps its largest piece.
+export const mergeRegion = (coords, region, mode) => {
+  const toPolygon = (points) => [points.map((point) => [point.x, point.y])];
+  const merged = (mode === "subtract" ? polygonClipping.difference : polygonClipping.union)(
+    toPolygon(coords),
+    toPolygon(region),
+  );
+  if (mode !== "subtract" && merged.length > 1) return { coords: null, separate: true };
+  if (merged.length === 0) return { coords: null, separate: false };
+  const pieces = merged.map(([outer]) => outer.slice(0, -1).map(([x, y]) => ({ x, y })));
+  return {
+    coords: pieces.reduce((largest, piece) =>
+      polygonArea(piece) > polygonArea(largest) ? piece : largest,
+    ),
+    separate: false,
+  };
+};
@@ -0,0 +1,112 @@
+// --- Department Metrics ---
+//
+// Sales always come from the mapped sales column (salesData). Any other
+// imported numeric columns are kept per department in metricData and
+// described by metric definitions: [{ name, format }].
+
+export const SALES_METRIC = "sales"; // Key of the built-in sales metric
+
+export const METRIC_FORMATS = {
+  currency: "Currency ($)",
+  percent: "Percent (%)",
+  count: "Count",
+};
+
+export const SALES_METRIC_DEFINITION = {
+  key: SALES_METRIC,
+  name: "Sales",
+  format: "currency",
+};
+
+// Guess how a column should be formatted from its header
+export const guessMetricFormat = (name) => {
+  if (/%|percent|margin\s*pct/i.test(name)) return "percent";
+  if (
+    /\b(units?|qty|quantity|count|transactions?|txns?|scripts?|rx|customers?|baskets?|items?|visits?)\b/i.test(
+      name,
+    )
+  ) {
+    return "count";
+  }
+  return "currency";
+};
+
+// Build metric definitions for newly imported columns, keeping any format
+// the user already chose for a column of the same name
+export const buildMetricDefinitions = (names, previous = []) =>
+  names.map((name) => ({
+    name,
+    format:
+      previous.find((metric) => metric.name === name)?.format ||
+      guessMetricFormat(name),
+  }));
+
+// All metrics available to the switcher, sales first: [{ key, name, format }]
+export const listMetrics = (metrics) => [
+  SALES_METRIC_DEFINITION,
+  ...metrics.map((metric) => ({ key: metric.name, ...metric })),
+];
+
+// Value of one metric for one department (undefined when not in the data)
+export const metricValue = (metricKey, deptName, salesData, metricData) =>
+  metricKey === SALES_METRIC
+    ? salesData?.[deptName]
+    : metricData?.[deptName]?.[metricKey];
+
+// Value of a metric for every department in the data: { deptName: value }
+export const metricValues = (metricKey, salesData, metricData) => {
+  if (metricKey === SALES_METRIC) return { ...(salesData || {}) };
+  const values = {};
+  Object.entries(metricData || {}).forEach(([deptName, deptMetrics]) => {
+    if (deptMetrics[metricKey] !== undefined) {
+      values[deptName] = deptMetrics[metricKey];
+    }
+  });
+  return values;
+};
+
+// Rank of each department by value, highest first (1 = top). Equal values
+// share a rank: { deptName: rank }
+export const rankValues = (values) => {
+  const sorted = Object.values(values)
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a);
+  const ranks = {};
+  Object.entries(values).forEach(([deptName, value]) => {
+    if (Number.isFinite(value)) ranks[deptName] = sorted.indexOf(value) + 1;
+  });
+  return ranks;
+};
+
+// Each department's share (0-1) of the total across all departments.
+// Negative values count as zero. Null when there is no positive total.
+export const shareOfTotal = (values) => {
+  const total = Object.values(values).reduce(
+    (sum, value) => sum + (Number.isFinite(value) ? Math.max(0, value) : 0),
+    0,
+  );
+  if (total <= 0) return null;
+  return Object.fromEntries(
+    Object.entries(values).map(([deptName, value]) => [
+      deptName,
+      Number.isFinite(value) ? Math.max(0, value) / total : 0,
+    ]),
+  );
+};
+
+// Format a metric value for labels, lists and the legend
+export const formatMetricValue = (value, format = "currency") => {
+  if (value === null || value === undefined || !Number.isFinite(value)) {
+    return "–";
+  }
+  switch (format) {
+    case "percent":
+      return `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+    case "count":
+      return value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+    default:
+      return `${value < 0 ? "-" : ""}$${Math.abs(value).toLocaleString(undefined, {
+        maximumFractionDigits: 2,
+      })}`;
+  }
+};
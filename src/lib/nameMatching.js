@@ -0,0 +1,127 @@
+// --- Department Name Matching ---
+//
+// Sales are joined to traced departments by name. Exports rarely spell
+// names the way the plan does ("VITAMINS/SUPPS" vs "Vitamins & Supplements"),
+// so each project keeps an alias table and unmatched names get fuzzy
+// suggestions. Aliases are keyed by the normalised spreadsheet name:
+//
+//   { "vitamins supps": "Vitamins & Supplements" }
+
+const STOP_WORDS = new Set(["and", "the", "of", "for"]);
+
+// Suggestions scoring below this are not offered
+export const SUGGESTION_THRESHOLD = 0.5;
+
+// Case, whitespace and punctuation insensitive form of a name
+export const normalizeName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const tokens = (name) =>
+  normalizeName(name)
+    .split(" ")
+    .filter((token) => token && !STOP_WORDS.has(token));
+
+// How well two words match: 1 when equal, high for abbreviations
+// ("supps" ~ "supplements", "vits" ~ "vitamins")
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  let common = 0;
+  while (common < a.length && common < b.length && a[common] === b[common]) common++;
+  if (common < 3) return 0;
+  const shorter = Math.min(a.length, b.length);
+  return common === shorter ? 0.9 : 0.5 + (0.3 * common) / shorter;
+};
+
+// Dice coefficient over character pairs, for names without shared words
+const bigramSimilarity = (a, b) => {
+  const pairs = (text) => {
+    const list = [];
+    for (let i = 0; i < text.length - 1; i++) list.push(text.slice(i, i + 2));
+    return list;
+  };
+  const left = pairs(a.replace(/ /g, ""));
+  const right = pairs(b.replace(/ /g, ""));
+  if (left.length === 0 || right.length === 0) return 0;
+  const remaining = [...right];
+  let shared = 0;
+  left.forEach((pair) => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
+
+// Similarity of two department names from 0 (unrelated) to 1 (same name
+// apart from case, spacing and punctuation)
+export const nameSimilarity = (a, b) => {
+  const normalA = normalizeName(a);
+  const normalB = normalizeName(b);
+  if (normalA === normalB) return 1;
+
+  const tokensA = tokens(a);
+  const tokensB = tokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const bestMatches = (from, to) =>
+    from.reduce(
+      (sum, token) => sum + Math.max(...to.map((other) => tokenSimilarity(token, other))),
+      0,
+    ) / from.length;
+  const tokenScore = (bestMatches(tokensA, tokensB) + bestMatches(tokensB, tokensA)) / 2;
+
+  // Never report a fuzzy match as certain
+  return Math.min(0.99, Math.max(tokenScore, bigramSimilarity(normalA, normalB)));
+};
+
+// Pair each unmatched spreadsheet name with its most likely plan
+// department. Each plan department is suggested at most once, best first:
+//   [{ fileName, planName | null, score }]
+export const suggestMatches = (fileNames, planNames) => {
+  const candidates = [];
+  fileNames.forEach((fileName) =>
+    planNames.forEach((planName) => {
+      const score = nameSimilarity(fileName, planName);
+      if (score >= SUGGESTION_THRESHOLD) candidates.push({ fileName, planName, score });
+    }),
+  );
+  candidates.sort((a, b) => b.score - a.score);
+
+  const suggestions = new Map();
+  const usedPlanNames = new Set();
+  candidates.forEach((candidate) => {
+    if (suggestions.has(candidate.fileName) || usedPlanNames.has(candidate.planName)) {
+      return;
+    }
+    suggestions.set(candidate.fileName, candidate);
+    usedPlanNames.add(candidate.planName);
+  });
+
+  return fileNames.map(
+    (fileName) => suggestions.get(fileName) || { fileName, planName: null, score: 0 },
+  );
+};
+
+// Rename the departments in a name-keyed map ({ deptName: value }, e.g.
+// salesData, metricData or spaceData) using the alias table. A name that is
+// already in the map is never overwritten by an alias.
+export const applyAliases = (values, aliases) => {
+  if (!values) return values;
+  const taken = new Set(Object.keys(values));
+  const renamed = {};
+  Object.entries(values).forEach(([name, value]) => {
+    const target = aliases[normalizeName(name)];
+    if (target && target !== name && !taken.has(target)) {
+      taken.add(target);
+      renamed[target] = value;
+    } else {
+      renamed[name] = value;
+    }
+  });
+  return renamed;
+};
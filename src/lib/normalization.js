@@ -0,0 +1,85 @@
+// --- Space Normalisation ---
+//
+// Departments can carry floor space figures from three sources:
+//   - manual entry in the department list (dept.area, dept.bayCount)
+//   - the sales spreadsheet (spaceData: { deptName: { area, bayCount } })
+//   - the traced outline, once the floor plan scale is calibrated (area only)
+// Earlier sources win. Areas are always stored in square metres.
+import { tracedArea } from "./calibration";
+import { formatMetricValue } from "./metrics";
+
+export const SQ_FT_PER_SQ_M = 10.7639;
+
+export const NORMALIZATIONS = {
+  raw: { label: "Raw values", suffix: "" },
+  perM2: { label: "Per m²", suffix: "/m²" },
+  perFt2: { label: "Per ft²", suffix: "/ft²" },
+  perBay: { label: "Per bay", suffix: "/bay" },
+};
+
+export const AREA_UNITS = {
+  m2: { label: "m²", toSquareMetres: 1 },
+  ft2: { label: "ft²", toSquareMetres: 1 / SQ_FT_PER_SQ_M },
+};
+
+// Convert an area between square metres and the given display unit
+export const toSquareMetres = (value, unit) =>
+  value * AREA_UNITS[unit].toSquareMetres;
+export const fromSquareMetres = (value, unit) =>
+  value / AREA_UNITS[unit].toSquareMetres;
+
+const positiveOrNull = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value > 0 ? value : null;
+
+// Effective { area, bayCount } for every department name known to any source
+export const effectiveSpace = (departments, spaceData, calibration) => {
+  const space = {};
+  Object.entries(spaceData || {}).forEach(([name, entry]) => {
+    space[name] = {
+      area: positiveOrNull(entry.area),
+      bayCount: positiveOrNull(entry.bayCount),
+    };
+  });
+  departments.forEach((dept) => {
+    const imported = space[dept.name] || { area: null, bayCount: null };
+    space[dept.name] = {
+      area:
+        positiveOrNull(dept.area) ??
+        imported.area ??
+        positiveOrNull(tracedArea(dept.coords, calibration)),
+      bayCount: positiveOrNull(dept.bayCount) ?? imported.bayCount,
+    };
+  });
+  return space;
+};
+
+// Divide each department's value by its space. Departments without the
+// needed figure are left out, so they show as "no data" rather than zero.
+export const normalizeValues = (values, normalization, space) => {
+  if (normalization === "raw") return values;
+
+  const normalized = {};
+  Object.entries(values).forEach(([name, value]) => {
+    const entry = space[name];
+    let divisor = null;
+    if (normalization === "perBay") {
+      divisor = entry?.bayCount ?? null;
+    } else if (entry?.area) {
+      divisor =
+        normalization === "perFt2" ? entry.area * SQ_FT_PER_SQ_M : entry.area;
+    }
+    if (divisor) normalized[name] = value / divisor;
+  });
+  return normalized;
+};
+
+// Does a department have the figure this normalisation needs?
+export const hasSpaceFor = (normalization, entry) =>
+  normalization === "raw" ||
+  (normalization === "perBay" ? !!entry?.bayCount : !!entry?.area);
+
+// Format a (possibly normalised) value with its unit, e.g. "$412.50/m²"
+export const formatNormalizedValue = (value, format, normalization) => {
+  const text = formatMetricValue(value, format);
+  return Number.isFinite(value) ? text + NORMALIZATIONS[normalization].suffix : text;
+};
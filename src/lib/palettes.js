@@ -0,0 +1,88 @@
+// --- Colour Palettes ---
+//
+// Colour schemes for the heatmap. Sequential palettes colour values from
+// lowest (0) to highest (1); diverging palettes colour changes from biggest
+// loss (0) through no change (0.5) to biggest gain (1). Each palette is
+// either a list of colour stops or a d3-scale-chromatic interpolator. The
+// brand palettes come straight from the brand colour file, so they follow it
+// if it changes.
+import * as d3 from "d3";
+import {
+  amber,
+  chart,
+  navy,
+  semantic,
+  sky,
+  teal,
+} from "../../brand-identity-pharma-apps/brand-identity/brand-assets/colors/brand-colors";
+
+export const PALETTES = {
+  pharmiq: {
+    label: "PharmIQ teal to amber",
+    group: "Brand",
+    colors: [navy[50], teal[700], amber[600]],
+  },
+  pharmiqHeat: {
+    label: "PharmIQ heat map scale",
+    group: "Brand",
+    colors: chart.heatmap,
+  },
+  pharmiqTeal: {
+    label: "PharmIQ teal",
+    group: "Brand",
+    colors: [teal[50], teal[300], teal[700], teal[900]],
+  },
+  pharmiqSky: {
+    label: "PharmIQ sky to navy",
+    group: "Brand",
+    colors: [sky[50], sky[500], navy[900]],
+  },
+  viridis: { label: "Viridis", group: "Colour-blind safe", interpolator: d3.interpolateViridis },
+  cividis: { label: "Cividis", group: "Colour-blind safe", interpolator: d3.interpolateCividis },
+  plasma: { label: "Plasma", group: "Colour-blind safe", interpolator: d3.interpolatePlasma },
+  inferno: { label: "Inferno", group: "Colour-blind safe", interpolator: d3.interpolateInferno },
+  blues: { label: "Blues", group: "Sequential", interpolator: d3.interpolateBlues },
+  greens: { label: "Greens", group: "Sequential", interpolator: d3.interpolateGreens },
+  ylOrRd: { label: "Yellow-Orange-Red", group: "Sequential", interpolator: d3.interpolateYlOrRd },
+  ylGnBu: { label: "Yellow-Green-Blue", group: "Sequential", interpolator: d3.interpolateYlGnBu },
+};
+
+export const DIVERGING_PALETTES = {
+  pharmiqChange: {
+    label: "PharmIQ red to teal",
+    group: "Brand",
+    colors: [semantic.critical.dark, navy[50], teal[700]],
+  },
+  pharmiqAmber: {
+    label: "PharmIQ amber to teal",
+    group: "Brand",
+    colors: [amber[800], navy[50], teal[700]],
+  },
+  puOr: { label: "Orange-Purple", group: "Colour-blind safe", interpolator: d3.interpolatePuOr },
+  rdBu: { label: "Red-Blue", group: "Colour-blind safe", interpolator: d3.interpolateRdBu },
+  brBG: { label: "Brown-Teal", group: "Colour-blind safe", interpolator: d3.interpolateBrBG },
+  rdYlGn: { label: "Red-Yellow-Green", group: "Diverging", interpolator: d3.interpolateRdYlGn },
+  piYG: { label: "Pink-Green", group: "Diverging", interpolator: d3.interpolatePiYG },
+};
+
+// Colour for a position from 0 to 1 on the palette
+export const paletteScale = (palette) => {
+  if (palette.interpolator) return palette.interpolator;
+  const { colors } = palette;
+  return d3.scaleLinear()
+    .domain(colors.map((_, i) => i / (colors.length - 1)))
+    .range(colors)
+    .clamp(true);
+};
+
+// Palettes grouped for a picker: [[group, [[key, palette], ...]], ...]
+export const groupPalettes = (palettes) => [
+  ...d3.group(Object.entries(palettes), ([, palette]) => palette.group),
+];
+
+// CSS gradient sampled from a scale, for legends and swatches
+export const paletteGradient = (scale, steps = 12) =>
+  `linear-gradient(to right, ${d3
+    .range(steps)
+    .map((i) => d3.rgb(scale(i / (steps - 1))).formatHex())
+    .join(", ")})`;
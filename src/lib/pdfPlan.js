@@ -0,0 +1,61 @@
+// --- PDF Floor Plans ---
+//
+// Architects send plans as PDFs. One page is rendered with pdf.js at a
+// chosen resolution and used as the floor plan image. pdf.js is large, so it
+// is only loaded once a PDF is opened.
+
+export const PDF_RESOLUTIONS = [72, 150, 200, 300]; // dpi on offer
+export const DEFAULT_PDF_RESOLUTION = 150;
+export const MAX_RENDER_SIDE = 8192; // px; larger canvases fail in some browsers
+const PREVIEW_WIDTH = 320; // px
+
+export const isPdfFile = (file) =>
+  file.type === "application/pdf" || /\.pdf$/i.test(file.name);
+
+const loadPdfJs = async () => {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  return pdfjs;
+};
+
+// Open a PDF from its bytes (ArrayBuffer). Resolves to the pdf.js document;
+// rejects when the file is not a readable PDF.
+export const openPdf = async (data) => {
+  const pdfjs = await loadPdfJs();
+  return pdfjs.getDocument({ data }).promise;
+};
+
+// Size of a page in pixels at a resolution: { width, height }
+export const pageSize = async (pdf, pageNumber, dpi) => {
+  const page = await pdf.getPage(pageNumber);
+  const { width, height } = page.getViewport({ scale: dpi / 72 });
+  return { width: Math.ceil(width), height: Math.ceil(height) };
+};
+
+// Render a page onto a white canvas at `scale` (1 = 72 dpi)
+const renderPage = async (pdf, pageNumber, scale) => {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({ canvas, viewport, background: "white" }).promise;
+  return canvas;
+};
+
+// PNG data URL of a page at the given resolution, for the floor plan
+export const renderPdfPage = async (pdf, pageNumber, dpi) => {
+  const canvas = await renderPage(pdf, pageNumber, dpi / 72);
+  return canvas.toDataURL("image/png");
+};
+
+// Small PNG data URL of a page, for picking it
+export const renderPdfPreview = async (pdf, pageNumber) => {
+  const page = await pdf.getPage(pageNumber);
+  const { width } = page.getViewport({ scale: 1 });
+  const canvas = await renderPage(pdf, pageNumber, PREVIEW_WIDTH / width);
+  return canvas.toDataURL("image/png");
+};
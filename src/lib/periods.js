@@ -0,0 +1,69 @@
+// --- Sales Periods ---
+//
+// A project can hold several periods of sales (one per imported file, or one
+// per date column of a single report): [{ id, label, salesData, metricData }].
+// The timeline shows one period at a time.
+
+const MONTHS = "jan feb mar apr may jun jul aug sep oct nov dec".split(" ");
+
+export const createPeriodId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Turn "2025-03", "Mar 2025", "March-25", "03/2025" or "Q1 2025" into a
+// sortable number (year * 12 + month), or null when it is not a period
+export const parsePeriod = (label) => {
+  const text = String(label).trim().toLowerCase();
+  const toYear = (digits) => (digits.length === 2 ? 2000 + Number(digits) : Number(digits));
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})$/);
+  if (match) return Number(match[1]) * 12 + Number(match[2]) - 1;
+
+  match = text.match(/^(\d{1,2})[-/.](\d{4}|\d{2})$/);
+  if (match && Number(match[1]) <= 12) return toYear(match[2]) * 12 + Number(match[1]) - 1;
+
+  match = text.match(/^([a-z]{3})[a-z]*\.?[\s\-/']*(\d{4}|\d{2})$/);
+  if (match && MONTHS.includes(match[1])) {
+    return toYear(match[2]) * 12 + MONTHS.indexOf(match[1]);
+  }
+
+  match = text.match(/^q([1-4])[\s\-/]*(\d{4}|\d{2})$/);
+  if (match) return toYear(match[2]) * 12 + (Number(match[1]) - 1) * 3;
+
+  return null;
+};
+
+// Default label for a period imported from a file: its name without the
+// extension, e.g. "Sales March 2025.xlsx" -> "Sales March 2025"
+export const periodLabelFromFileName = (fileName) =>
+  String(fileName).replace(/\.[^.]+$/, "").trim() || "Imported data";
+
+// Chronological order when every label reads as a date, otherwise as loaded
+const sortPeriods = (periods) => {
+  const keys = periods.map((period) => parsePeriod(period.label));
+  if (keys.some((key) => key === null)) return periods;
+  return periods
+    .map((period, index) => ({ period, key: keys[index] }))
+    .sort((a, b) => a.key - b.key)
+    .map(({ period }) => period);
+};
+
+// Add imported periods to the project. A period with the same label as an
+// existing one replaces it, so re-importing a corrected file is safe.
+export const mergePeriods = (existing, incoming) => {
+  const merged = [...existing];
+  incoming.forEach((period) => {
+    const index = merged.findIndex((p) => p.label === period.label);
+    if (index === -1) merged.push(period);
+    else merged[index] = { ...period, id: merged[index].id };
+  });
+  return sortPeriods(merged);
+};
+
+// Every department name that has data in any period
+export const periodDepartmentNames = (periods) => {
+  const names = new Set();
+  periods.forEach((period) =>
+    Object.keys(period.salesData).forEach((name) => names.add(name)),
+  );
+  return [...names].sort();
+};
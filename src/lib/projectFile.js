@@ -0,0 +1,536 @@
+// --- Project File Format ---
+//
+// A project file is a single JSON document holding everything needed to
+// reopen a heatmap: the floor plan (embedded as a data URL), the traced
+// department layout, the imported sales data and the view settings.
+//
+// {
+//   format: "pharmiq-heatmap-project",
+//   version: 3,
+//   savedAt: "2025-01-31T09:00:00.000Z",
+//   name: "Eastside Pharmacy",
+//   floorPlan: { dataUrl, width, height } | null,
+//   layout: {
+//     departments: [{ id, name, coords: [{ x, y }], area?, bayCount? }],
+//     calibration: { from: { x, y }, to: { x, y }, metres } | null,   // floor plan scale
+//   },
+//   data: {
+//     periods: [{ id, label, salesData: { deptName: salesValue },
+//                 metricData: { deptName: { metricName: value } } }],
+//     metrics: [{ name, format }],                   // extra imported columns
+//     spaceData: { deptName: { area, bayCount } },    // imported floor space
+//     aliases: { normalisedSpreadsheetName: deptName }, // see nameMatching.js
+//   },
+//   view: { heatmapStyle, palette, divergingPalette, scaleType, classCount,
+//           clipPercent, gamma, minIntensity, blurRadius, heatmapOpacity,
+//           heatmapVisible, zoom, pan: { x, y },
+//           activeMetric, normalization, areaUnit, activePeriod, fixedDomain,
+//           comparison: { baseline, change } | null,              // see comparison.js
+//           snap: { grid, vertices, edges } },                    // see drawingTools.js
+// }
+//
+// Areas are in square metres.
+import { METRIC_FORMATS, SALES_METRIC, guessMetricFormat } from "./metrics";
+import { AREA_UNITS, NORMALIZATIONS } from "./normalization";
+import { CHANGE_TYPES } from "./comparison";
+import { HEATMAP_STYLES } from "./renderLayers";
+import { DIVERGING_PALETTES, PALETTES } from "./palettes";
+import { CLASS_COUNTS, CLIP_PERCENTS, SCALE_TYPES } from "./classification";
+import { DEFAULT_SNAP, GRID_SIZES } from "./drawingTools";
+import { createPeriodId } from "./periods";
+
+export const PROJECT_FILE_FORMAT = "pharmiq-heatmap-project";
+export const PROJECT_FILE_VERSION = 3;
+export const PROJECT_FILE_EXTENSION = ".pharmiq.json";
+
+export const DEFAULT_VIEW = {
+  heatmapStyle: "glow",
+  palette: "pharmiq",
+  divergingPalette: "pharmiqChange",
+  scaleType: "linear",
+  classCount: 5,
+  clipPercent: 0,
+  gamma: 0.3,
+  minIntensity: 0.3,
+  blurRadius: 50,
+  heatmapOpacity: 0.85,
+  heatmapVisible: true,
+  zoom: 1,
+  pan: { x: 0, y: 0 },
+  activeMetric: SALES_METRIC,
+  normalization: "raw",
+  areaUnit: "m2",
+  activePeriod: 0,
+  fixedDomain: true,
+  comparison: null,
+  snap: DEFAULT_SNAP,
+};
+
+// Error with a message that is safe to show to the user as-is
+export class ProjectFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProjectFileError";
+  }
+}
+
+// Upgrades from older file versions, keyed by the version they upgrade FROM.
+// Each step receives a parsed file of that version and returns the next one.
+const MIGRATIONS = {
+  // v1 stored extra metrics as bare column names, without a display format
+  1: (project) => ({
+    ...project,
+    version: 2,
+    data: {
+      ...project.data,
+      metrics: Array.isArray(project.data?.metrics)
+        ? project.data.metrics.map((name) => ({
+            name,
+            format: guessMetricFormat(String(name)),
+          }))
+        : [],
+    },
+  }),
+  // v2 held a single period of sales directly in data
+  2: ({ data, ...project }) => {
+    const { salesData, metricData, ...rest } = isPlainObject(data) ? data : {};
+    return {
+      ...project,
+      version: 3,
+      data: {
+        ...rest,
+        periods:
+          salesData === null || salesData === undefined
+            ? []
+            : [{ label: "Period 1", salesData, metricData: metricData ?? {} }],
+      },
+    };
+  },
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const isPositiveNumber = (value) => isFiniteNumber(value) && value > 0;
+
+const clamp = (value, min, max, fallback) =>
+  isFiniteNumber(value) ? Math.min(max, Math.max(min, value)) : fallback;
+
+// --- Serialisation ---
+
+// Build a project file object from the current app state
+export const serializeProject = ({
+  name,
+  floorPlan,
+  departments,
+  calibration,
+  periods,
+  metrics,
+  spaceData,
+  aliases,
+  view,
+}) => ({
+  format: PROJECT_FILE_FORMAT,
+  version: PROJECT_FILE_VERSION,
+  savedAt: new Date().toISOString(),
+  name: name || "",
+  floorPlan: floorPlan
+    ? {
+        dataUrl: floorPlan.dataUrl,
+        width: floorPlan.width,
+        height: floorPlan.height,
+      }
+    : null,
+  layout: {
+    // Sales are re-derived from salesData on load, so only geometry and
+    // any hand-entered floor space are kept
+    departments: departments.map((dept) => ({
+      id: dept.id,
+      name: dept.name,
+      coords: dept.coords.map((point) => ({ x: point.x, y: point.y })),
+      ...(dept.area ? { area: dept.area } : {}),
+      ...(dept.bayCount ? { bayCount: dept.bayCount } : {}),
+    })),
+    calibration: calibration
+      ? {
+          from: { x: calibration.from.x, y: calibration.from.y },
+          to: { x: calibration.to.x, y: calibration.to.y },
+          metres: calibration.metres,
+        }
+      : null,
+  },
+  data: {
+    periods: periods.map((period) => ({
+      id: period.id,
+      label: period.label,
+      salesData: period.salesData,
+      metricData: period.metricData,
+    })),
+    metrics: metrics || [],
+    spaceData: spaceData || {},
+    aliases: aliases || {},
+  },
+  view: {
+    heatmapStyle: view.heatmapStyle,
+    palette: view.palette,
+    divergingPalette: view.divergingPalette,
+    scaleType: view.scaleType,
+    classCount: view.classCount,
+    clipPercent: view.clipPercent,
+    gamma: view.gamma,
+    minIntensity: view.minIntensity,
+    blurRadius: view.blurRadius,
+    heatmapOpacity: view.heatmapOpacity,
+    heatmapVisible: view.heatmapVisible,
+    zoom: view.zoom,
+    pan: { x: view.pan.x, y: view.pan.y },
+    activeMetric: view.activeMetric,
+    normalization: view.normalization,
+    areaUnit: view.areaUnit,
+    activePeriod: view.activePeriod,
+    fixedDomain: view.fixedDomain,
+    comparison: view.comparison,
+    snap: { grid: view.snap.grid, vertices: view.snap.vertices, edges: view.snap.edges },
+  },
+});
+
+// Suggest a download file name for a project
+export const projectFileName = (name) => {
+  const slug =
+    (name || "heatmap-project")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "heatmap-project";
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug}-${date}${PROJECT_FILE_EXTENSION}`;
+};
+
+// Trigger a browser download of the project file
+export const downloadProjectFile = (project) => {
+  const blob = new Blob([JSON.stringify(project, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = projectFileName(project.name);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// --- Parsing & Validation ---
+
+const validateFloorPlan = (floorPlan) => {
+  if (floorPlan === null || floorPlan === undefined) return null;
+  if (!isPlainObject(floorPlan)) {
+    throw new ProjectFileError("The floor plan section is damaged.");
+  }
+  const { dataUrl, width, height } = floorPlan;
+  if (typeof dataUrl !== "string" || !dataUrl.startsWith("data:image/")) {
+    throw new ProjectFileError(
+      "The embedded floor plan image is missing or damaged.",
+    );
+  }
+  if (!isFiniteNumber(width) || !isFiniteNumber(height) || width <= 0 || height <= 0) {
+    throw new ProjectFileError("The floor plan dimensions are invalid.");
+  }
+  return { dataUrl, width, height };
+};
+
+const validateDepartments = (layout) => {
+  const departments = isPlainObject(layout) ? layout.departments : undefined;
+  if (!Array.isArray(departments)) {
+    throw new ProjectFileError("The department layout is missing or damaged.");
+  }
+
+  const seenNames = new Set();
+  return departments.map((dept, index) => {
+    const position = `Department #${index + 1}`;
+    if (!isPlainObject(dept) || typeof dept.name !== "string" || !dept.name.trim()) {
+      throw new ProjectFileError(`${position} has no name.`);
+    }
+    if (seenNames.has(dept.name)) {
+      throw new ProjectFileError(
+        `Department "${dept.name}" appears more than once.`,
+      );
+    }
+    seenNames.add(dept.name);
+
+    if (!Array.isArray(dept.coords)) {
+      throw new ProjectFileError(`Department "${dept.name}" has no outline.`);
+    }
+    const coords = dept.coords.map((point) => {
+      if (!isPlainObject(point) || !isFiniteNumber(point.x) || !isFiniteNumber(point.y)) {
+        throw new ProjectFileError(
+          `Department "${dept.name}" has an invalid outline point.`,
+        );
+      }
+      return { x: point.x, y: point.y };
+    });
+
+    return {
+      id: typeof dept.id === "string" && dept.id ? dept.id : `${Date.now()}-${index}`,
+      name: dept.name,
+      coords,
+      ...(isPositiveNumber(dept.area) ? { area: dept.area } : {}),
+      ...(isPositiveNumber(dept.bayCount) ? { bayCount: dept.bayCount } : {}),
+    };
+  });
+};
+
+// Files saved before scale calibration have no calibration
+const validateCalibration = (layout) => {
+  const calibration = isPlainObject(layout) ? layout.calibration : null;
+  if (calibration === null || calibration === undefined) return null;
+  const isPoint = (point) =>
+    isPlainObject(point) && isFiniteNumber(point.x) && isFiniteNumber(point.y);
+  if (
+    !isPlainObject(calibration) ||
+    !isPoint(calibration.from) ||
+    !isPoint(calibration.to) ||
+    !isPositiveNumber(calibration.metres)
+  ) {
+    throw new ProjectFileError("The floor plan scale calibration is damaged.");
+  }
+  return {
+    from: { x: calibration.from.x, y: calibration.from.y },
+    to: { x: calibration.to.x, y: calibration.to.y },
+    metres: calibration.metres,
+  };
+};
+
+const validateSalesData = (salesData, label) => {
+  if (!isPlainObject(salesData)) {
+    throw new ProjectFileError(`The sales data for "${label}" is damaged.`);
+  }
+  for (const [deptName, value] of Object.entries(salesData)) {
+    if (!isFiniteNumber(value)) {
+      throw new ProjectFileError(
+        `The sales value for "${deptName}" in "${label}" is not a number.`,
+      );
+    }
+  }
+  return { ...salesData };
+};
+
+const validateMetricData = (metricData, label) => {
+  if (!isPlainObject(metricData)) {
+    throw new ProjectFileError(`The additional metrics for "${label}" are damaged.`);
+  }
+  for (const [deptName, values] of Object.entries(metricData)) {
+    if (!isPlainObject(values) || !Object.values(values).every(isFiniteNumber)) {
+      throw new ProjectFileError(
+        `The additional metrics for "${deptName}" in "${label}" are not numbers.`,
+      );
+    }
+  }
+  return { ...metricData };
+};
+
+const validatePeriods = (data) => {
+  const periods = isPlainObject(data) ? data.periods : undefined;
+  if (!Array.isArray(periods)) {
+    throw new ProjectFileError("The sales periods section is missing or damaged.");
+  }
+  return periods.map((period, index) => {
+    if (!isPlainObject(period)) {
+      throw new ProjectFileError(`Sales period #${index + 1} is damaged.`);
+    }
+    const label =
+      typeof period.label === "string" && period.label.trim()
+        ? period.label
+        : `Period ${index + 1}`;
+    return {
+      id: typeof period.id === "string" && period.id ? period.id : createPeriodId(),
+      label,
+      salesData: validateSalesData(period.salesData, label),
+      metricData: validateMetricData(period.metricData ?? {}, label),
+    };
+  });
+};
+
+const validateMetrics = (data) => {
+  const metrics = (isPlainObject(data) ? data.metrics : null) ?? [];
+  if (
+    !Array.isArray(metrics) ||
+    !metrics.every(
+      (metric) =>
+        isPlainObject(metric) &&
+        typeof metric.name === "string" &&
+        metric.format in METRIC_FORMATS,
+    )
+  ) {
+    throw new ProjectFileError("The additional metrics section is damaged.");
+  }
+  return metrics.map(({ name, format }) => ({ name, format }));
+};
+
+// Files saved before floor space was supported have no spaceData
+const validateSpaceData = (data) => {
+  const spaceData = (isPlainObject(data) ? data.spaceData : null) ?? {};
+  if (!isPlainObject(spaceData)) {
+    throw new ProjectFileError("The floor space section is damaged.");
+  }
+  const validated = {};
+  for (const [deptName, entry] of Object.entries(spaceData)) {
+    if (!isPlainObject(entry)) {
+      throw new ProjectFileError(`The floor space for "${deptName}" is damaged.`);
+    }
+    validated[deptName] = {
+      area: isPositiveNumber(entry.area) ? entry.area : null,
+      bayCount: isPositiveNumber(entry.bayCount) ? entry.bayCount : null,
+    };
+  }
+  return validated;
+};
+
+// Files saved before name aliases have none
+const validateAliases = (data) => {
+  const aliases = (isPlainObject(data) ? data.aliases : null) ?? {};
+  if (
+    !isPlainObject(aliases) ||
+    !Object.values(aliases).every((name) => typeof name === "string")
+  ) {
+    throw new ProjectFileError("The department name aliases are damaged.");
+  }
+  return { ...aliases };
+};
+
+const validateView = (view) => {
+  const source = isPlainObject(view) ? view : {};
+  const pan = isPlainObject(source.pan) ? source.pan : {};
+  const snap = isPlainObject(source.snap) ? source.snap : {};
+  return {
+    heatmapStyle:
+      source.heatmapStyle in HEATMAP_STYLES
+        ? source.heatmapStyle
+        : DEFAULT_VIEW.heatmapStyle,
+    palette: source.palette in PALETTES ? source.palette : DEFAULT_VIEW.palette,
+    divergingPalette:
+      source.divergingPalette in DIVERGING_PALETTES
+        ? source.divergingPalette
+        : DEFAULT_VIEW.divergingPalette,
+    scaleType: source.scaleType in SCALE_TYPES ? source.scaleType : DEFAULT_VIEW.scaleType,
+    classCount: CLASS_COUNTS.includes(source.classCount)
+      ? source.classCount
+      : DEFAULT_VIEW.classCount,
+    clipPercent: CLIP_PERCENTS.includes(source.clipPercent)
+      ? source.clipPercent
+      : DEFAULT_VIEW.clipPercent,
+    gamma: clamp(source.gamma, 0.1, 3, DEFAULT_VIEW.gamma),
+    minIntensity: clamp(source.minIntensity, 0, 0.9, DEFAULT_VIEW.minIntensity),
+    blurRadius: clamp(source.blurRadius, 5, 100, DEFAULT_VIEW.blurRadius),
+    heatmapOpacity: clamp(source.heatmapOpacity, 0.1, 1, DEFAULT_VIEW.heatmapOpacity),
+    heatmapVisible:
+      typeof source.heatmapVisible === "boolean"
+        ? source.heatmapVisible
+        : DEFAULT_VIEW.heatmapVisible,
+    zoom: clamp(source.zoom, 0.1, 5, DEFAULT_VIEW.zoom),
+    pan: {
+      x: isFiniteNumber(pan.x) ? pan.x : 0,
+      y: isFiniteNumber(pan.y) ? pan.y : 0,
+    },
+    activeMetric:
+      typeof source.activeMetric === "string"
+        ? source.activeMetric
+        : DEFAULT_VIEW.activeMetric,
+    normalization:
+      source.normalization in NORMALIZATIONS
+        ? source.normalization
+        : DEFAULT_VIEW.normalization,
+    areaUnit: source.areaUnit in AREA_UNITS ? source.areaUnit : DEFAULT_VIEW.areaUnit,
+    activePeriod: Number.isInteger(source.activePeriod)
+      ? Math.max(0, source.activePeriod)
+      : DEFAULT_VIEW.activePeriod,
+    fixedDomain:
+      typeof source.fixedDomain === "boolean"
+        ? source.fixedDomain
+        : DEFAULT_VIEW.fixedDomain,
+    // A baseline that no longer exists is ignored when the project is shown
+    comparison:
+      isPlainObject(source.comparison) &&
+      typeof source.comparison.baseline === "string" &&
+      source.comparison.change in CHANGE_TYPES
+        ? { baseline: source.comparison.baseline, change: source.comparison.change }
+        : DEFAULT_VIEW.comparison,
+    snap: {
+      grid: GRID_SIZES.includes(snap.grid) ? snap.grid : DEFAULT_SNAP.grid,
+      vertices: typeof snap.vertices === "boolean" ? snap.vertices : DEFAULT_SNAP.vertices,
+      edges: typeof snap.edges === "boolean" ? snap.edges : DEFAULT_SNAP.edges,
+    },
+  };
+};
+
+// Bring an older project file up to the current version
+const migrateProject = (project) => {
+  let migrated = project;
+  while (migrated.version < PROJECT_FILE_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new ProjectFileError(
+        `This project was saved by an older version (v${migrated.version}) that can no longer be opened.`,
+      );
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+};
+
+// Validate a parsed project object and return normalised project data.
+// Throws ProjectFileError with a user-facing message on any problem.
+export const validateProject = (raw) => {
+  if (!isPlainObject(raw) || raw.format !== PROJECT_FILE_FORMAT) {
+    throw new ProjectFileError("This is not a PharmIQ heat-map project file.");
+  }
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    throw new ProjectFileError("The project file version is missing or invalid.");
+  }
+  if (raw.version > PROJECT_FILE_VERSION) {
+    throw new ProjectFileError(
+      `This project was saved by a newer version of the app (v${raw.version}). Please update to open it.`,
+    );
+  }
+
+  const project = migrateProject(raw);
+  const metrics = validateMetrics(project.data);
+  const periods = validatePeriods(project.data);
+  const view = validateView(project.view);
+  view.activePeriod = Math.min(view.activePeriod, Math.max(0, periods.length - 1));
+  if (
+    view.activeMetric !== SALES_METRIC &&
+    !metrics.some((metric) => metric.name === view.activeMetric)
+  ) {
+    view.activeMetric = SALES_METRIC;
+  }
+
+  return {
+    name: typeof project.name === "string" ? project.name : "",
+    savedAt: typeof project.savedAt === "string" ? project.savedAt : null,
+    floorPlan: validateFloorPlan(project.floorPlan),
+    departments: validateDepartments(project.layout),
+    calibration: validateCalibration(project.layout),
+    periods,
+    metrics,
+    spaceData: validateSpaceData(project.data),
+    aliases: validateAliases(project.data),
+    view,
+  };
+};
+
+// Parse the text of a project file
+export const parseProjectFile = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new ProjectFileError(
+      "The project file is corrupt or incomplete and could not be read.",
+    );
+  }
+  return validateProject(raw);
+};
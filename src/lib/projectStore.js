@@ -0,0 +1,266 @@
+// --- Local Project Storage (IndexedDB) ---
+//
+// Projects are kept in two object stores:
+//   projects   - { id, name, createdAt, updatedAt, floorPlanKey, project }
+//                where `project` is a project file object (see projectFile.js)
+//                with the floor plan data URL stripped out
+//   floorPlans - { key, blob, type }
+//                floor plan images stored once as binary Blobs, keyed by a
+//                SHA-256 hash of their contents so duplicated projects (and
+//                repeated autosaves) share a single copy
+import { readFileAsDataURL } from "./files";
+import { validateProject } from "./projectFile";
+
+const DB_NAME = "pharmiq-heatmap";
+const DB_VERSION = 1;
+const PROJECTS = "projects";
+const FLOOR_PLANS = "floorPlans";
+const ACTIVE_PROJECT_KEY = "pharmiq.activeProjectId";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("This browser does not support local storage of projects."));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECTS)) {
+          db.createObjectStore(PROJECTS, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(FLOOR_PLANS)) {
+          db.createObjectStore(FLOOR_PLANS, { keyPath: "key" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Run `work(stores)` inside a transaction and resolve once it commits
+const withStores = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, mode);
+  const stores = Object.fromEntries(
+    storeNames.map((name) => [name, tx.objectStore(name)]),
+  );
+  const result = await work(stores);
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+};
+
+// --- Floor Plan Blobs ---
+
+const dataUrlToBlob = (dataUrl) => {
+  const [header, payload] = dataUrl.split(",");
+  const type = header.match(/^data:([^;]+)/)?.[1] || "application/octet-stream";
+  if (!header.includes(";base64")) {
+    return new Blob([decodeURIComponent(payload)], { type });
+  }
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
+
+const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Autosave runs often with the same image, so remember the last one hashed
+let lastFloorPlan = { dataUrl: null, key: null, blob: null };
+
+const prepareFloorPlan = async (dataUrl) => {
+  if (lastFloorPlan.dataUrl !== dataUrl) {
+    const blob = dataUrlToBlob(dataUrl);
+    lastFloorPlan = { dataUrl, key: await hashBlob(blob), blob };
+  }
+  return lastFloorPlan;
+};
+
+// Remove floor plan blobs that no project refers to any more
+const collectUnusedFloorPlans = () =>
+  withStores([PROJECTS, FLOOR_PLANS], "readwrite", async (stores) => {
+    const projects = await promisify(stores[PROJECTS].getAll());
+    const inUse = new Set(projects.map((record) => record.floorPlanKey));
+    const keys = await promisify(stores[FLOOR_PLANS].getAllKeys());
+    keys
+      .filter((key) => !inUse.has(key))
+      .forEach((key) => stores[FLOOR_PLANS].delete(key));
+  });
+
+// --- Projects ---
+
+export const createProjectId = () =>
+  crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// List stored projects (metadata only), most recently updated first
+export const listProjects = () =>
+  withStores([PROJECTS], "readonly", async (stores) => {
+    const records = await promisify(stores[PROJECTS].getAll());
+    return records
+      .map(({ id, name, createdAt, updatedAt, project }) => ({
+        id,
+        name,
+        createdAt,
+        updatedAt,
+        departmentCount: project.layout.departments.length,
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  });
+
+// Save a project file object under the given id
+export const saveStoredProject = async (id, project) => {
+  const floorPlan = project.floorPlan
+    ? await prepareFloorPlan(project.floorPlan.dataUrl)
+    : null;
+  const now = new Date().toISOString();
+
+  const previousPlanKey = await withStores(
+    [PROJECTS, FLOOR_PLANS],
+    "readwrite",
+    async (stores) => {
+      const existing = await promisify(stores[PROJECTS].get(id));
+      if (floorPlan) {
+        const storedKey = await promisify(
+          stores[FLOOR_PLANS].getKey(floorPlan.key),
+        );
+        if (storedKey === undefined) {
+          stores[FLOOR_PLANS].put({
+            key: floorPlan.key,
+            blob: floorPlan.blob,
+            type: floorPlan.blob.type,
+          });
+        }
+      }
+      stores[PROJECTS].put({
+        id,
+        name: project.name || "Untitled store",
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        floorPlanKey: floorPlan?.key || null,
+        project: {
+          ...project,
+          floorPlan: project.floorPlan
+            ? { width: project.floorPlan.width, height: project.floorPlan.height }
+            : null,
+        },
+      });
+      return existing?.floorPlanKey || null;
+    },
+  );
+
+  // The old image may now be orphaned if this save replaced the floor plan
+  if (previousPlanKey && previousPlanKey !== (floorPlan?.key || null)) {
+    await collectUnusedFloorPlans();
+  }
+};
+
+// Load a stored project and return validated project data
+export const loadStoredProject = async (id) => {
+  const { record, blob } = await withStores(
+    [PROJECTS, FLOOR_PLANS],
+    "readonly",
+    async (stores) => {
+      const record = await promisify(stores[PROJECTS].get(id));
+      const plan = record?.floorPlanKey
+        ? await promisify(stores[FLOOR_PLANS].get(record.floorPlanKey))
+        : null;
+      return { record, blob: plan?.blob || null };
+    },
+  );
+  if (!record) {
+    throw new Error("That project no longer exists.");
+  }
+
+  const project = { ...record.project, name: record.name };
+  if (record.project.floorPlan) {
+    if (!blob) {
+      throw new Error("The stored floor plan image for this project is missing.");
+    }
+    project.floorPlan = {
+      ...record.project.floorPlan,
+      dataUrl: await readFileAsDataURL(blob),
+    };
+  }
+  return validateProject(project);
+};
+
+export const renameStoredProject = (id, name) =>
+  withStores([PROJECTS], "readwrite", async (stores) => {
+    const record = await promisify(stores[PROJECTS].get(id));
+    if (record) {
+      stores[PROJECTS].put({
+        ...record,
+        name,
+        project: { ...record.project, name },
+        updatedAt: new Date().toISOString(),
+      });
+    }
+  });
+
+// Copy a project; the floor plan blob is shared rather than copied
+export const duplicateStoredProject = (id, name) =>
+  withStores([PROJECTS], "readwrite", async (stores) => {
+    const record = await promisify(stores[PROJECTS].get(id));
+    if (!record) {
+      throw new Error("That project no longer exists.");
+    }
+    const now = new Date().toISOString();
+    const copy = {
+      ...record,
+      id: createProjectId(),
+      name,
+      project: { ...record.project, name },
+      createdAt: now,
+      updatedAt: now,
+    };
+    stores[PROJECTS].put(copy);
+    return copy.id;
+  });
+
+export const deleteStoredProject = async (id) => {
+  await withStores([PROJECTS], "readwrite", async (stores) => {
+    stores[PROJECTS].delete(id);
+  });
+  await collectUnusedFloorPlans();
+};
+
+// --- Active Project ---
+
+export const getActiveProjectId = () => localStorage.getItem(ACTIVE_PROJECT_KEY);
+
+export const setActiveProjectId = (id) => {
+  if (id) {
+    localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+  } else {
+    localStorage.removeItem(ACTIVE_PROJECT_KEY);
+  }
+};
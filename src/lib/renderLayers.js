@@ -0,0 +1,350 @@
+// --- Render Layers ---
+//
+// The view canvas is composed from layers painted off-screen at floor plan
+// resolution. Each is only repainted when its inputs change, so panning and
+// zooming just composite them (see the render pipeline in App.jsx).
+import * as d3 from "d3";
+import { pointInPolygon, polygonArea } from "./geometry";
+import {
+  bandThresholds,
+  contourLabelPoint,
+  interpolateSurface,
+  surfaceContours,
+  surfaceSamples,
+} from "./surface";
+
+// Resize a canvas only when needed; assigning width or height reallocates
+// and clears the buffer
+export const fitCanvas = (canvas, width, height) => {
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+};
+
+// --- Base Layer ---
+
+// The floor plan, with the previous plan ghosted over it while realigning
+// (at its own size, so the layer covers both)
+export const renderBaseLayer = (canvas, image, ghostImage = null) => {
+  fitCanvas(
+    canvas,
+    Math.max(image.width, ghostImage?.width ?? 0),
+    Math.max(image.height, ghostImage?.height ?? 0),
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, image.width, image.height);
+  if (ghostImage) {
+    ctx.globalAlpha = 0.35;
+    ctx.drawImage(ghostImage, 0, 0);
+    ctx.globalAlpha = 1.0;
+  }
+};
+
+// --- Heatmap Layer ---
+
+// Colours for every byte value, so colouring the blurred pixels is a
+// table lookup rather than a scale call per pixel
+const colorTable = (scale) =>
+  Array.from({ length: 256 }, (_, value) => d3.rgb(scale(value / 255)));
+
+// How strongly a value shows: its share of the maximum (0-1) raised to
+// `gamma`, and never below `minIntensity` so small values stay visible.
+// Sequential palettes are sampled at this intensity.
+export const intensityCurve = (share, gamma, minIntensity) =>
+  Math.max(Math.pow(share, gamma), minIntensity);
+
+// Heatmap looks: per-polygon fills, a diffused glow, or a surface
+// interpolated across the store (see surface.js)
+export const HEATMAP_STYLES = {
+  glow: "Diffused glow",
+  choropleth: "Crisp fill",
+  dots: "Dot density",
+  surface: "Interpolated surface",
+};
+
+// Off-screen canvases reused between renders: the finished layer and a
+// scratch canvas for the blur pass
+export const createHeatmapLayer = () => ({
+  canvas: document.createElement("canvas"),
+  blurCanvas: document.createElement("canvas"),
+});
+
+const tracePolygon = (ctx, coords) => {
+  ctx.beginPath();
+  ctx.moveTo(coords[0].x, coords[0].y);
+  for (let i = 1; i < coords.length; i++) {
+    ctx.lineTo(coords[i].x, coords[i].y);
+  }
+  ctx.closePath();
+};
+
+// Centroid of a polygon's vertices and the radius of a gradient covering it
+const gradientCircle = (coords) => {
+  let centerX = 0,
+    centerY = 0;
+  coords.forEach((coord) => {
+    centerX += coord.x;
+    centerY += coord.y;
+  });
+  centerX /= coords.length;
+  centerY /= coords.length;
+
+  // Calculate the maximum distance from center to any vertex
+  let maxDistance = 0;
+  coords.forEach((coord) => {
+    const distance = Math.hypot(coord.x - centerX, coord.y - centerY);
+    if (distance > maxDistance) maxDistance = distance;
+  });
+
+  // Add a little extra to the radius to ensure it covers the whole polygon
+  return { centerX, centerY, radius: maxDistance * 1.2 };
+};
+
+// Small seeded random generator (mulberry32), so a department's dots stay
+// in place between renders
+const seededRandom = (text) => {
+  let seed = 0;
+  for (const char of text) seed = (Math.imul(seed, 31) + char.charCodeAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Glow: a radial gradient from the centre, full intensity in the middle
+// fading to 30% at the edges (spread further by the blur)
+const paintGlow = (ctx, coords, shade, intensity) => {
+  const { centerX, centerY, radius } = gradientCircle(coords);
+  const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+  gradient.addColorStop(0, `rgba(${shade}, ${intensity})`); // Center - full intensity
+  gradient.addColorStop(0.7, `rgba(${shade}, ${intensity * 0.8})`); // Middle area - 80% intensity
+  gradient.addColorStop(1, `rgba(${shade}, ${intensity * 0.3})`); // Edge - 30% intensity
+  tracePolygon(ctx, coords);
+  ctx.fillStyle = gradient;
+  ctx.fill();
+};
+
+// Crisp fill: one flat colour, exactly inside the outline
+const paintFill = (ctx, coords, shade, intensity) => {
+  tracePolygon(ctx, coords);
+  ctx.fillStyle = `rgba(${shade}, ${intensity})`;
+  ctx.fill();
+};
+
+// Dot density: dots scattered inside the outline, more of them the higher
+// the intensity. `spacing` is the gap between dots at full intensity.
+const paintDots = (ctx, dept, shade, intensity, spacing) => {
+  const xs = dept.coords.map((point) => point.x);
+  const ys = dept.coords.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const boxWidth = Math.max(...xs) - minX;
+  const boxHeight = Math.max(...ys) - minY;
+  const count = Math.round((intensity * polygonArea(dept.coords)) / (spacing * spacing));
+  const random = seededRandom(dept.name);
+
+  ctx.fillStyle = `rgba(${shade}, ${intensity})`;
+  ctx.beginPath();
+  // Rejection sampling; thin shapes may get slightly fewer dots
+  for (let placed = 0, tries = 0; placed < count && tries < count * 20; tries++) {
+    const point = { x: minX + random() * boxWidth, y: minY + random() * boxHeight };
+    if (!pointInPolygon(point, dept.coords)) continue;
+    ctx.moveTo(point.x + spacing * 0.3, point.y);
+    ctx.arc(point.x, point.y, spacing * 0.3, 0, Math.PI * 2);
+    placed++;
+  }
+  ctx.fill();
+};
+
+// Outline around every traced department, so the surface is not
+// extrapolated out into the car park
+const departmentsHull = (departments) =>
+  d3.polygonHull(
+    departments.flatMap((dept) => dept.coords.map((point) => [point.x, point.y])),
+  );
+
+const traceHull = (ctx, hull) => {
+  ctx.beginPath();
+  hull.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.closePath();
+};
+
+// Surface: contour bands of the interpolated values, each filled with the
+// appearance of its middle value. Bands are painted as the difference of
+// neighbouring contours (even-odd), so they never overlap. Returns what the
+// isolines need, or null when there is no surface.
+const paintSurface = (ctx, departments, positionOf, appearance, range, size) => {
+  const traced = departments.filter((dept) => dept.coords && dept.coords.length >= 3);
+  const samples = surfaceSamples(traced, positionOf);
+  const hull = departmentsHull(traced);
+  if (samples.length === 0 || !hull) return null;
+
+  const surface = interpolateSurface(samples, size.width, size.height);
+  const thresholds = bandThresholds(range.min, range.max);
+  const contours = surfaceContours(surface, thresholds);
+  const path = d3.geoPath(d3.geoIdentity().scale(surface.cellSize), ctx);
+
+  ctx.save();
+  traceHull(ctx, hull);
+  ctx.clip();
+  contours.forEach((contour, i) => {
+    const { shade, intensity } = appearance(
+      (thresholds[i] + (thresholds[i + 1] ?? range.max)) / 2,
+    );
+    ctx.beginPath();
+    path(contour);
+    if (contours[i + 1]) path(contours[i + 1]);
+    ctx.fillStyle = `rgba(${shade}, ${intensity})`;
+    ctx.fill("evenodd");
+  });
+  ctx.restore();
+
+  return { surface, thresholds, contours, hull, path };
+};
+
+// Isolines between the surface bands, labelled with the value they follow
+const drawIsolines = (ctx, { thresholds, contours, hull, path, surface }, formatLabel, size) => {
+  const fontSize = Math.max(12, Math.max(size.width, size.height) / 120);
+  ctx.save();
+  traceHull(ctx, hull);
+  ctx.clip();
+  ctx.strokeStyle = "rgba(15, 23, 42, 0.45)"; // Brand Navy
+  ctx.lineWidth = Math.max(1, fontSize / 10);
+  ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  contours.forEach((contour, i) => {
+    // The lowest contour is the whole plan
+    if (i === 0) return;
+    ctx.beginPath();
+    path(contour);
+    ctx.stroke();
+
+    // Keep labels off the edge of the grid and inside the store
+    const point = contourLabelPoint(
+      contour,
+      ({ x, y }) =>
+        x > 1 &&
+        y > 1 &&
+        x < surface.cols - 1 &&
+        y < surface.rows - 1 &&
+        d3.polygonContains(hull, [x * surface.cellSize, y * surface.cellSize]),
+    );
+    if (!point) return;
+    const label = formatLabel(thresholds[i]);
+    const x = point.x * surface.cellSize;
+    const y = point.y * surface.cellSize;
+    ctx.lineWidth = fontSize / 4;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.strokeText(label, x, y);
+    ctx.fillStyle = "#0F172A";
+    ctx.fillText(label, x, y);
+    ctx.strokeStyle = "rgba(15, 23, 42, 0.45)";
+    ctx.lineWidth = Math.max(1, fontSize / 10);
+  });
+  ctx.restore();
+};
+
+// Paint the heatmap into layer.canvas. `positions` holds each department's
+// place on the colour scale (see classification.js): 0-1, or -1 to 1 for
+// changes when `comparison` is set. Departments that cannot be shown should
+// be left out of `departments`. Positions go through intensityCurve.
+// `colorScale` maps 0-1 to a colour (see palettes.js): intensity, or the
+// change from biggest loss to biggest gain when comparing. `formatLabel`
+// formats a position for the surface isolines. Returns false when there is
+// nothing to draw.
+export const renderHeatmapLayer = (
+  layer,
+  {
+    width,
+    height,
+    departments,
+    positions,
+    comparison,
+    style,
+    gamma,
+    minIntensity,
+    blurRadius,
+    opacity,
+    colorScale,
+    formatLabel,
+  },
+) => {
+  if (!departments.length) return false;
+
+  const { canvas, blurCanvas } = layer;
+  fitCanvas(canvas, width, height);
+  fitCanvas(blurCanvas, width, height);
+  const ctx = canvas.getContext("2d");
+  const blurCtx = blurCanvas.getContext("2d", { willReadFrequently: true });
+  ctx.clearRect(0, 0, width, height);
+  const dotSpacing = Math.max(width, height) / 150;
+
+  // Departments without a value show as lowest; without a change, not at
+  // all
+  const positionOf = (dept) => positions[dept.name] ?? (comparison ? null : 0);
+
+  // Comparison: the red channel carries the change (0 = biggest loss,
+  // 0.5 = none, 1 = biggest gain) and alpha its size, so the blur
+  // blends neighbouring changes before they are coloured
+  const appearance = (position) => ({
+    shade: comparison ? `${Math.round(255 * (0.5 + position / 2))}, 0, 0` : "255, 255, 255",
+    intensity: intensityCurve(Math.abs(position), gamma, minIntensity),
+  });
+
+  let isolines = null;
+  if (style === "surface") {
+    isolines = paintSurface(
+      ctx,
+      departments,
+      positionOf,
+      appearance,
+      { min: comparison ? -1 : 0, max: 1 },
+      { width, height },
+    );
+  } else {
+    for (const dept of departments) {
+      if (!dept.coords || dept.coords.length < 3) continue;
+      const position = positionOf(dept);
+      if (position === null) continue;
+      const { shade, intensity } = appearance(position);
+
+      if (style === "choropleth") paintFill(ctx, dept.coords, shade, intensity);
+      else if (style === "dots") paintDots(ctx, dept, shade, intensity, dotSpacing);
+      else paintGlow(ctx, dept.coords, shade, intensity);
+    }
+  }
+
+  // Only the glow is blurred, to create a smooth heatmap effect
+  blurCtx.clearRect(0, 0, width, height);
+  blurCtx.filter = style === "glow" ? `blur(${blurRadius * 1.5}px)` : "none";
+  blurCtx.drawImage(canvas, 0, 0);
+  blurCtx.filter = "none";
+  const blurredData = blurCtx.getImageData(0, 0, width, height);
+  const outputData = ctx.createImageData(width, height);
+
+  // Apply the color scale to the blurred data: by the alpha (intensity), or
+  // by the change carried in the red channel when comparing
+  const pixels = blurredData.data;
+  const colors = colorTable(colorScale);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3] / 255; // Normalize alpha to 0-1
+    if (alpha > 0) {
+      const color = colors[comparison ? pixels[i] : pixels[i + 3]];
+      outputData.data[i] = color.r;
+      outputData.data[i + 1] = color.g;
+      outputData.data[i + 2] = color.b;
+      outputData.data[i + 3] = Math.min(255, alpha * 255 * opacity * 1.5); // Amplify opacity
+    }
+  }
+  ctx.putImageData(outputData, 0, 0);
+
+  // Isolines go on top of the coloured bands
+  if (isolines) {
+    drawIsolines(ctx, isolines, formatLabel, { width, height });
+  }
+
+  return true;
+};
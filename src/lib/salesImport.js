@@ -0,0 +1,554 @@
+// --- Sales Spreadsheet Import ---
+//
+// Every source (XLSX/XLS/ODS workbooks, CSV/TSV text and pasted tables) is
+// first read into the same workbook shape:
+//
+//   { sheetNames, sheets: { name: rows[][] }, details: { format, encoding, delimiter, decimal } }
+//
+// and a worksheet (an array of row arrays) is then turned into per-department values.
+// The mapping from columns to fields is made by header NAME rather than
+// position, so reports whose columns move around still import correctly:
+//
+//   { headerRow, department: "Dept Name", sales: "TY Sales", metrics: ["GP $"],
+//     area: "Sq M" | null, areaUnit: "m2" | "ft2", bays: "Bays" | null,
+//     periods: ["Jan 2025", "Feb 2025"] }
+//
+// When period columns are mapped, each one becomes a period of sales and
+// the sales column is not used.
+import * as XLSX from "xlsx";
+import { toSquareMetres } from "./normalization";
+import { parsePeriod } from "./periods";
+
+const MAPPINGS_STORAGE_KEY = "pharmiq.importMappings";
+const HEADER_SCAN_ROWS = 25;
+
+const DEPARTMENT_PATTERN = /\b(dept|department|category|section|group|description|name)\b/i;
+const SALES_PATTERN = /\b(sales|revenue|turnover|amount)\b|\$/i;
+const AREA_PATTERN = /\b(area|sq\.?\s*(m|ft|metres?|meters?|feet)|sqm|sqft|m2|ft2|footage)\b|m²|ft²/i;
+const FEET_PATTERN = /\b(ft|feet|sqft|ft2|footage)\b|ft²/i;
+const BAYS_PATTERN = /\b(bays?|bay\s*count|gondolas?|fixtures?)\b/i;
+const NOT_CURRENT_SALES_PATTERN = /\b(ly|last|prev|previous|budget|target|units?|qty|quantity|var|variance)\b|%/i;
+
+const DELIMITERS = [",", "\t", ";", "|"];
+const TEXT_EXTENSIONS = ["csv", "tsv", "txt", "tab"];
+const WORKBOOK_EXTENSIONS = ["xlsx", "xls", "xlsm", "ods"];
+
+export const SUPPORTED_FILE_ACCEPT = [...WORKBOOK_EXTENSIONS, ...TEXT_EXTENSIONS]
+  .map((ext) => `.${ext}`)
+  .join(",");
+
+// Parse a spreadsheet cell as a number: "$1,234.50" -> 1234.5,
+// "(200)" -> -200, "12.5%" -> 12.5. With decimal "," the European form
+// "1.234,50" is read instead. Returns null when it is not a number.
+export const parseNumber = (value, decimal = ".") => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(/[$€£¥\s%\u00a0]/g, "");
+  text =
+    decimal === ","
+      ? text.replace(/\./g, "").replace(",", ".")
+      : text.replace(/,/g, "");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+
+  const number = parseFloat(text);
+  return negative ? -number : number;
+};
+
+// --- Reading Workbooks ---
+
+// Blank rows inside a sheet are kept (as empty rows) so that row numbers
+// in the preview and import report match the spreadsheet; trailing ones go
+const trimTrailingBlankRows = (rows) => {
+  let end = rows.length;
+  while (end > 0 && rows[end - 1].every((cell) => cell === null)) end--;
+  return rows.slice(0, end);
+};
+
+const sheetRows = (worksheet) => {
+  if (!worksheet["!ref"]) return [];
+  // Read from A1 even when the used range starts further in, so row and
+  // column positions line up with the sheet
+  const { e: end } = XLSX.utils.decode_range(worksheet["!ref"]);
+  return trimTrailingBlankRows(
+    XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: null,
+      blankrows: true,
+      range: { s: { r: 0, c: 0 }, e: end },
+    }),
+  );
+};
+
+// Read an XLSX/XLS/ODS workbook from an ArrayBuffer
+export const readWorkbook = (arrayBuffer, format = "xlsx") => {
+  const workbook = XLSX.read(new Uint8Array(arrayBuffer), { type: "array" });
+  const sheets = {};
+  workbook.SheetNames.forEach((name) => {
+    sheets[name] = sheetRows(workbook.Sheets[name]);
+  });
+  return {
+    sheetNames: workbook.SheetNames,
+    sheets,
+    details: { format, encoding: null, delimiter: null, decimal: "." },
+  };
+};
+
+// --- Reading Delimited Text ---
+
+// Decode text bytes, honouring a byte-order mark. Without one, use UTF-8 if
+// the bytes are valid UTF-8, else assume Windows-1252 (older Excel CSVs).
+export const decodeText = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder("utf-8").decode(bytes.subarray(3)), encoding: "UTF-8" };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder("utf-16le").decode(bytes.subarray(2)), encoding: "UTF-16LE" };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder("utf-16be").decode(bytes.subarray(2)), encoding: "UTF-16BE" };
+  }
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+  } catch {
+    return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "Windows-1252" };
+  }
+};
+
+// Split delimited text into rows, handling quoted fields and "" escapes
+export const parseDelimitedText = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Match the workbook reader: blank cells are null
+  return trimTrailingBlankRows(
+    rows.map((cells) => cells.map((cell) => (cell.trim() === "" ? null : cell.trim()))),
+  );
+};
+
+// Count delimiter occurrences on a line, ignoring quoted sections
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+};
+
+// Pick the delimiter that splits the sample lines most consistently
+export const detectDelimiter = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .slice(0, 20);
+  let best = ",";
+  let bestScore = 0;
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map((line) => countOutsideQuotes(line, delimiter));
+    const used = counts.filter((count) => count > 0);
+    if (used.length === 0) continue;
+    // Most common non-zero count, weighted by how many lines agree on it
+    const frequency = {};
+    used.forEach((count) => {
+      frequency[count] = (frequency[count] || 0) + 1;
+    });
+    const [mode, agreeing] = Object.entries(frequency).sort((a, b) => b[1] - a[1])[0];
+    const score = agreeing * Math.log2(1 + Number(mode));
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  }
+  return best;
+};
+
+// Decide whether numbers use "." or "," as the decimal separator by looking
+// for unambiguous samples like "1.234,56", "12,5" or "1,234.56"
+export const detectDecimalSeparator = (rows) => {
+  let commaVotes = 0;
+  let pointVotes = 0;
+  rows.slice(0, 200).forEach((row) =>
+    row.forEach((cell) => {
+      if (typeof cell !== "string") return;
+      const text = cell.replace(/[$€£¥\s%()\u00a0-]/g, "");
+      if (/^\d{1,3}(\.\d{3})+,\d+$/.test(text) || /^\d+,\d{1,2}$/.test(text)) {
+        commaVotes++;
+      } else if (/^\d{1,3}(,\d{3})+\.\d+$/.test(text) || /^\d+\.\d{1,2}$/.test(text)) {
+        pointVotes++;
+      }
+    }),
+  );
+  return commaVotes > pointVotes ? "," : ".";
+};
+
+// Read delimited text into the workbook shape. Numbers are converted up front
+// using the detected decimal separator so later steps only see plain values.
+export const readDelimitedText = (
+  text,
+  { sheetName = "Sheet1", delimiter = detectDelimiter(text), encoding = null, format = "csv" } = {},
+) => {
+  const rawRows = parseDelimitedText(text, delimiter);
+  const decimal = detectDecimalSeparator(rawRows);
+  const rows =
+    decimal === ","
+      ? rawRows.map((row) =>
+          row.map((cell) => {
+            const number = parseNumber(cell, ",");
+            return number === null ? cell : number;
+          }),
+        )
+      : rawRows;
+  return {
+    sheetNames: [sheetName],
+    sheets: { [sheetName]: rows },
+    details: { format, encoding, delimiter, decimal },
+  };
+};
+
+// Read a table pasted from a report grid or spreadsheet (tab-separated when
+// copied from Excel and most web grids)
+export const readPastedTable = (text) =>
+  readDelimitedText(text, {
+    sheetName: "Pasted data",
+    delimiter: text.includes("\t") ? "\t" : detectDelimiter(text),
+    format: "paste",
+  });
+
+// Read any supported sales file into the workbook shape
+export const readSalesFile = async (file) => {
+  const extension = file.name.split(".").pop().toLowerCase();
+  const buffer = await file.arrayBuffer();
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    const { text, encoding } = decodeText(buffer);
+    return readDelimitedText(text, {
+      sheetName: file.name.replace(/\.[^.]+$/, ""),
+      delimiter: extension === "tsv" || extension === "tab" ? "\t" : detectDelimiter(text),
+      encoding,
+      format: extension,
+    });
+  }
+  if (WORKBOOK_EXTENSIONS.includes(extension)) {
+    return readWorkbook(buffer, extension);
+  }
+  throw new Error(
+    "Unsupported file type. Please use XLSX, XLS, ODS, CSV or TSV.",
+  );
+};
+
+const isBlank = (value) =>
+  value === null || value === undefined || String(value).trim() === "";
+
+const isText = (value) => !isBlank(value) && parseNumber(value) === null;
+
+// --- Header Detection ---
+
+// Guess which row holds the column headers. Report exports often start with
+// title, store and date rows, so look for the first row of several text cells
+// that is followed by rows mixing text and numbers.
+export const detectHeaderRow = (rows) => {
+  let bestRow = 0;
+  let bestScore = -1;
+
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const textCells = row.filter(isText);
+    if (textCells.length < 2) return;
+
+    const dataRowsBelow = rows
+      .slice(index + 1, index + 6)
+      .filter(
+        (below) =>
+          below.some(isText) &&
+          below.some((cell) => !isBlank(cell) && parseNumber(cell) !== null),
+      ).length;
+    const keywordHits = textCells.filter(
+      (cell) => DEPARTMENT_PATTERN.test(cell) || SALES_PATTERN.test(cell),
+    ).length;
+
+    const score = textCells.length + dataRowsBelow * 2 + keywordHits * 3;
+    if (score > bestScore) {
+      bestScore = score;
+      bestRow = index;
+    }
+  });
+
+  return bestRow;
+};
+
+// Describe the columns under a header row:
+// [{ index, header, numeric, sample }]
+export const getColumns = (rows, headerRow) => {
+  const header = rows[headerRow] || [];
+  const dataRows = rows.slice(headerRow + 1);
+  const width = Math.max(header.length, ...dataRows.map((row) => row.length), 0);
+
+  const columns = [];
+  const seenHeaders = new Set();
+  for (let index = 0; index < width; index++) {
+    const values = dataRows.map((row) => row[index]).filter((v) => !isBlank(v));
+    if (isBlank(header[index]) && values.length === 0) continue;
+
+    let name = isBlank(header[index])
+      ? `Column ${XLSX.utils.encode_col(index)}`
+      : String(header[index]).trim();
+    // Keep header names unique so they can be used as mapping keys
+    if (seenHeaders.has(name)) name = `${name} (${XLSX.utils.encode_col(index)})`;
+    seenHeaders.add(name);
+
+    const numericCount = values.filter((v) => parseNumber(v) !== null).length;
+    columns.push({
+      index,
+      header: name,
+      numeric: values.length > 0 && numericCount / values.length >= 0.6,
+      sample: values[0] ?? null,
+    });
+  }
+  return columns;
+};
+
+// Pick likely department and sales columns from their headers
+export const guessMapping = (columns, headerRow) => {
+  const department =
+    columns.find((col) => !col.numeric && DEPARTMENT_PATTERN.test(col.header)) ||
+    columns.find((col) => !col.numeric);
+  const numericColumns = columns.filter((col) => col.numeric);
+  const sales =
+    numericColumns.find(
+      (col) =>
+        SALES_PATTERN.test(col.header) &&
+        !NOT_CURRENT_SALES_PATTERN.test(col.header),
+    ) ||
+    numericColumns.find((col) => SALES_PATTERN.test(col.header)) ||
+    numericColumns[0];
+  const area = numericColumns.find(
+    (col) => col !== sales && AREA_PATTERN.test(col.header),
+  );
+  const bays = numericColumns.find(
+    (col) => col !== sales && col !== area && BAYS_PATTERN.test(col.header),
+  );
+  // Several month columns ("Jan 2025", "2025-02"…) mean one period each
+  const periodColumns = numericColumns.filter((col) => parsePeriod(col.header) !== null);
+
+  return {
+    headerRow,
+    department: department?.header ?? null,
+    sales: sales?.header ?? null,
+    metrics: [],
+    area: area?.header ?? null,
+    areaUnit: area && FEET_PATTERN.test(area.header) ? "ft2" : "m2",
+    bays: bays?.header ?? null,
+    periods: periodColumns.length >= 2 ? periodColumns.map((col) => col.header) : [],
+  };
+};
+
+// --- Remembered Mappings ---
+
+// Identify a report type by its (normalised) column headers
+export const reportSignature = (columns) =>
+  columns
+    .map((col) => col.header.toLowerCase().replace(/\s+/g, " "))
+    .join("|");
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const loadSavedMapping = (signature) => readSavedMappings()[signature] || null;
+
+export const saveMapping = (signature, mapping) => {
+  const mappings = readSavedMappings();
+  mappings[signature] = { ...mapping, savedAt: new Date().toISOString() };
+  localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+};
+
+// Check that every column a mapping refers to exists in this sheet
+export const mappingFitsColumns = (mapping, columns) => {
+  const headers = new Set(columns.map((col) => col.header));
+  const periods = mapping.periods || [];
+  return (
+    headers.has(mapping.department) &&
+    (periods.length > 0 || headers.has(mapping.sales)) &&
+    periods.every((period) => headers.has(period)) &&
+    mapping.metrics.every((metric) => headers.has(metric)) &&
+    (!mapping.area || headers.has(mapping.area)) &&
+    (!mapping.bays || headers.has(mapping.bays))
+  );
+};
+
+// Find a remembered mapping for a sheet. The header row is re-detected, so
+// a report with an extra title line still matches.
+export const findSavedMapping = (rows) => {
+  const headerRow = detectHeaderRow(rows);
+  const columns = getColumns(rows, headerRow);
+  const saved = loadSavedMapping(reportSignature(columns));
+  if (!saved || !mappingFitsColumns(saved, columns)) return null;
+  return { ...saved, headerRow };
+};
+
+// Find the first sheet of a workbook that matches a remembered mapping:
+// { sheetName, mapping } or null
+export const findSavedMappingInWorkbook = (workbook) => {
+  for (const sheetName of workbook.sheetNames) {
+    const mapping = findSavedMapping(workbook.sheets[sheetName]);
+    if (mapping) return { sheetName, mapping };
+  }
+  return null;
+};
+
+// --- Extraction ---
+
+// Department names that mark report total rows rather than departments
+const TOTAL_ROW_PATTERN = /^(grand\s*|sub\s*-?\s*)?totals?\b/i;
+
+// Apply a mapping to a sheet and return
+//   { periods: [{ label, salesData: { deptName: sales }, metricData: { deptName: { header: value } } }],
+//     metrics: [header], spaceData: { deptName: { area, bayCount } }, issues }
+// Without period columns there is a single period with a null label.
+// Areas are converted to square metres. Nothing is guessed: values that are
+// not numbers are left out and, like repeated departments (only the first
+// row is used), recorded in issues with their spreadsheet row numbers:
+//   { duplicates: [{ department, rows }], invalidValues: [{ row, department, column, value }],
+//     negativeValues: [{ row, department, column, value }], blankNames: [row], totalRows: [row] }
+export const extractSalesData = (rows, mapping) => {
+  const columns = getColumns(rows, mapping.headerRow);
+  const indexOf = (header) => columns.find((col) => col.header === header)?.index;
+  const deptIndex = indexOf(mapping.department);
+  const periodHeaders = mapping.periods || [];
+  const salesHeaders = periodHeaders.length > 0 ? periodHeaders : [mapping.sales];
+  const salesIndexes = salesHeaders.map((header) => [header, indexOf(header)]);
+  if (deptIndex === undefined || salesIndexes.some(([, index]) => index === undefined)) {
+    throw new Error("The department and sales (or period) columns must be mapped.");
+  }
+  const metricIndexes = mapping.metrics.map((header) => [header, indexOf(header)]);
+  const areaIndex = mapping.area ? indexOf(mapping.area) : undefined;
+  const baysIndex = mapping.bays ? indexOf(mapping.bays) : undefined;
+
+  const salesByPeriod = salesIndexes.map(() => ({}));
+  const metricData = {};
+  const spaceData = {};
+  const issues = {
+    duplicates: [],
+    invalidValues: [],
+    negativeValues: [],
+    blankNames: [],
+    totalRows: [],
+  };
+  const firstRows = {}; // deptName -> row number it was imported from
+
+  rows.slice(mapping.headerRow + 1).forEach((row, offset) => {
+    const rowNumber = mapping.headerRow + offset + 2; // 1-based, as in the spreadsheet
+    const deptName = isBlank(row[deptIndex]) ? null : String(row[deptIndex]).trim();
+    if (!deptName) {
+      // Figures without a department name would otherwise vanish unnoticed
+      if (row.some((cell, index) => index !== deptIndex && !isBlank(cell))) {
+        issues.blankNames.push(rowNumber);
+      }
+      return;
+    }
+    if (TOTAL_ROW_PATTERN.test(deptName)) {
+      issues.totalRows.push(rowNumber);
+      return;
+    }
+    if (deptName in firstRows) {
+      const duplicate = issues.duplicates.find((d) => d.department === deptName);
+      if (duplicate) duplicate.rows.push(rowNumber);
+      else issues.duplicates.push({ department: deptName, rows: [firstRows[deptName], rowNumber] });
+      return;
+    }
+    firstRows[deptName] = rowNumber;
+
+    // Read one cell, recording anything that is not a usable number.
+    // Optional columns (area, bays) may be left blank.
+    const readValue = (index, column, optional = false) => {
+      const cell = row[index];
+      if (optional && isBlank(cell)) return null;
+      const value = parseNumber(cell);
+      if (value === null) {
+        issues.invalidValues.push({
+          row: rowNumber,
+          department: deptName,
+          column,
+          value: isBlank(cell) ? "" : String(cell),
+        });
+      } else if (value < 0) {
+        issues.negativeValues.push({ row: rowNumber, department: deptName, column, value });
+      }
+      return value;
+    };
+
+    salesIndexes.forEach(([header, index], period) => {
+      const sales = readValue(index, header);
+      if (sales !== null) salesByPeriod[period][deptName] = sales;
+    });
+    if (metricIndexes.length > 0) {
+      const values = {};
+      metricIndexes.forEach(([header, index]) => {
+        const value = readValue(index, header);
+        if (value !== null) values[header] = value;
+      });
+      metricData[deptName] = values;
+    }
+    if (areaIndex !== undefined || baysIndex !== undefined) {
+      const area = areaIndex !== undefined ? readValue(areaIndex, mapping.area, true) : null;
+      const bayCount = baysIndex !== undefined ? readValue(baysIndex, mapping.bays, true) : null;
+      spaceData[deptName] = {
+        area: area > 0 ? toSquareMetres(area, mapping.areaUnit || "m2") : null,
+        bayCount: bayCount > 0 ? bayCount : null,
+      };
+    }
+  });
+
+  // Extra metrics come from one row per department, so periods share them
+  const periods = salesByPeriod.map((salesData, index) => ({
+    label: periodHeaders.length > 0 ? periodHeaders[index] : null,
+    salesData,
+    metricData,
+  }));
+  return { periods, metrics: [...mapping.metrics], spaceData, issues };
+};
@@ -0,0 +1,81 @@
+// --- Interpolated Surface ---
+//
+// A continuous performance surface across the store, interpolated from the
+// department values by inverse-distance weighting (IDW) on a grid, then cut
+// into contour bands with d3-contour. It shows warm corridors and dead zones
+// between departments that per-polygon fills cannot.
+import * as d3 from "d3";
+import { polygonCentroid } from "./geometry";
+
+const GRID_CELLS = 160; // Grid cells along the longer side of the plan
+const IDW_POWER = 2; // Higher = each department's influence falls off faster
+export const SURFACE_BANDS = 8;
+
+// One sample per department at its centre: [{ x, y, value }]
+export const surfaceSamples = (departments, valueOf) =>
+  departments
+    .filter((dept) => dept.coords && dept.coords.length >= 3)
+    .map((dept) => ({ ...polygonCentroid(dept.coords), value: valueOf(dept) }))
+    .filter((sample) => Number.isFinite(sample.value));
+
+// Interpolate the samples over a width x height plan:
+//   { values: Float64Array (row by row), cols, rows, cellSize }
+export const interpolateSurface = (samples, width, height) => {
+  const cellSize = Math.max(width, height) / GRID_CELLS;
+  const cols = Math.max(1, Math.ceil(width / cellSize));
+  const rows = Math.max(1, Math.ceil(height / cellSize));
+  const values = new Float64Array(cols * rows);
+
+  for (let row = 0; row < rows; row++) {
+    const y = (row + 0.5) * cellSize;
+    for (let col = 0; col < cols; col++) {
+      const x = (col + 0.5) * cellSize;
+      let weighted = 0;
+      let totalWeight = 0;
+      let exact = null;
+      for (const sample of samples) {
+        const squared = (sample.x - x) ** 2 + (sample.y - y) ** 2;
+        if (squared < 1e-9) {
+          exact = sample.value;
+          break;
+        }
+        const weight = 1 / Math.pow(squared, IDW_POWER / 2);
+        weighted += weight * sample.value;
+        totalWeight += weight;
+      }
+      values[row * cols + col] = exact ?? (totalWeight ? weighted / totalWeight : 0);
+    }
+  }
+
+  return { values, cols, rows, cellSize };
+};
+
+// Contours of the surface at each threshold, as GeoJSON MultiPolygons in
+// grid units (multiply by cellSize for plan pixels)
+export const surfaceContours = (surface, thresholds) =>
+  d3.contours().size([surface.cols, surface.rows]).thresholds(thresholds)(surface.values);
+
+// Evenly spaced band edges from `min` to just below `max`
+export const bandThresholds = (min, max, bands = SURFACE_BANDS) =>
+  d3.range(bands).map((band) => min + ((max - min) * band) / bands);
+
+// A point on the longest ring of a contour to hang its label on, in grid
+// units: the one nearest the middle of the ring that `accept(point)` allows
+// (e.g. inside the store), or null when there is none
+export const contourLabelPoint = (contour, accept = () => true) => {
+  let longest = null;
+  contour.coordinates.forEach((polygon) =>
+    polygon.forEach((ring) => {
+      if (!longest || ring.length > longest.length) longest = ring;
+    }),
+  );
+  if (!longest || longest.length < 2) return null;
+  const middle = Math.floor(longest.length / 2);
+  for (let offset = 0; offset <= middle; offset++) {
+    for (const index of [middle - offset, middle + offset]) {
+      const [x, y] = longest[index] ?? [];
+      if (x !== undefined && accept({ x, y })) return { x, y };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,190 @@
+// --- SVG Floor Plans ---
+//
+// Shopfitters' SVG plans often draw each bay as its own named shape (a
+// <rect>, <polygon> or <path> with an id or <title> such as "BAY-14
+// Fragrance"). The plan is still rasterised as the backdrop; these helpers
+// also read the named shapes as department outlines, in the pixel
+// coordinates of the rasterised image, and link them to spreadsheet
+// departments by their label or id.
+import { simplifyPath } from "./drawingTools";
+import { nameSimilarity, normalizeName } from "./nameMatching";
+
+const SHAPE_SELECTOR = "rect, polygon, path, circle, ellipse";
+// Ids drawing programs generate on their own ("path1234", "rect-7")
+const GENERATED_ID = /^(svg|g|path|rect|polygon|polyline|circle|ellipse|layer|shape)[-_]?\d+$/i;
+// Bay or fixture code in front of a name: "BAY-14 Fragrance", "G7: Skincare"
+const BAY_CODE = /^(bay|gondola|unit|fixture|b|g|u)?[\s_-]*\d+[a-z]?\b[\s:._–-]*/i;
+const CURVE_SAMPLES = 64; // Points sampled around a curved shape before simplifying
+const CURVE_TOLERANCE = 0.5; // px a simplified curve may stray from the shape
+const MAX_PLAN_SHARE = 0.9; // Shapes covering more of the plan are backgrounds or frames
+export const AUTO_LINK_SCORE = 0.8; // Fuzzy matches below this are not linked automatically
+
+export const isSvgFile = (file) =>
+  file.type === "image/svg+xml" || /\.svg$/i.test(file.name);
+
+// Name a shape is labelled with: its <title>, an editor label, or an id
+// that is not a generated one. Null for unnamed shapes.
+const shapeLabel = (element) => {
+  const title = [...element.children].find((child) => child.localName === "title");
+  const label =
+    title?.textContent ||
+    element.getAttribute("inkscape:label") ||
+    element.getAttribute("data-name") ||
+    element.getAttribute("aria-label") ||
+    (GENERATED_ID.test(element.id) ? "" : element.id);
+  return label ? label.replace(/\s+/g, " ").trim() || null : null;
+};
+
+// Corners of a path drawn only with straight lines (M, L, H, V and Z
+// commands, absolute or relative), or null when it has curves. The first
+// subpath is used.
+const straightPathPoints = (d) => {
+  const tokens = d.match(/[a-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  if (tokens.some((token) => /^[a-z]$/i.test(token) && !/^[hlmvz]$/i.test(token))) {
+    return null;
+  }
+  const points = [];
+  let command = null;
+  let current = { x: 0, y: 0 };
+  for (let i = 0; i < tokens.length; ) {
+    if (/^[a-z]$/i.test(tokens[i])) {
+      command = tokens[i++];
+      if (/z/i.test(command)) {
+        if (points.length > 0) break; // End of the first subpath
+        continue;
+      }
+    }
+    if (!command) return null; // Numbers before any command
+    const relative = command === command.toLowerCase();
+    const next = () => parseFloat(tokens[i++]);
+    const base = relative ? current : { x: 0, y: 0 };
+    switch (command.toLowerCase()) {
+      case "h":
+        current = { x: base.x + next(), y: current.y };
+        break;
+      case "v":
+        current = { x: current.x, y: base.y + next() };
+        break;
+      default: {
+        // m and l take x, y pairs; pairs after a moveto are linetos
+        const x = next();
+        const y = next();
+        current = { x: base.x + x, y: base.y + y };
+        if (/m/i.test(command)) {
+          if (points.length > 0) return points; // A second subpath
+          command = relative ? "l" : "L";
+        }
+      }
+    }
+    if (!Number.isFinite(current.x) || !Number.isFinite(current.y)) return null;
+    points.push(current);
+  }
+  // Drop a closing point that repeats the first
+  const [first] = points;
+  const last = points[points.length - 1];
+  if (points.length > 1 && first.x === last.x && first.y === last.y) points.pop();
+  return points;
+};
+
+// Outline of a shape in its own coordinates: exact corners for rectangles
+// and polygons, points sampled around anything curved
+const shapePoints = (element) => {
+  if (element.localName === "rect") {
+    const [x, y, width, height] = ["x", "y", "width", "height"].map(
+      (key) => element[key].baseVal.value,
+    );
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height },
+    ];
+  }
+  if (element.localName === "polygon") {
+    return [...element.points].map((point) => ({ x: point.x, y: point.y }));
+  }
+  if (element.localName === "path") {
+    const corners = straightPathPoints(element.getAttribute("d") || "");
+    if (corners) return corners;
+  }
+  const length = element.getTotalLength();
+  if (!(length > 0)) return [];
+  const samples = Array.from({ length: CURVE_SAMPLES }, (_, i) => {
+    const point = element.getPointAtLength((i / CURVE_SAMPLES) * length);
+    return { x: point.x, y: point.y };
+  });
+  return simplifyPath([...samples, samples[0]], CURVE_TOLERANCE).slice(0, -1);
+};
+
+// Named shapes of an SVG as [{ id, label, coords }], with coords in the
+// pixels of the image the SVG rasterises to (width x height). Needs the
+// document, as the browser lays the drawing out to resolve its viewBox,
+// transforms and curves. Throws when the text is not an SVG.
+export const extractSvgShapes = (svgText, width, height) => {
+  const parsed = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  if (parsed.documentElement.localName !== "svg" || parsed.querySelector("parsererror")) {
+    throw new Error("The file is not a valid SVG drawing.");
+  }
+  const svg = document.importNode(parsed.documentElement, true);
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  const host = document.createElement("div");
+  host.style.cssText = "position: absolute; left: -100000px; top: 0; visibility: hidden;";
+  host.appendChild(svg);
+  document.body.appendChild(host);
+
+  try {
+    // Shapes are mapped to the screen, then made relative to the drawing's
+    // top left corner, which is pixel (0, 0) of the image
+    const origin = svg.getBoundingClientRect();
+    const shapes = [];
+    svg.querySelectorAll(SHAPE_SELECTOR).forEach((element) => {
+      if (element.closest("defs, clipPath, mask, pattern, symbol")) return;
+      const label = shapeLabel(element);
+      if (!label) return;
+      const matrix = element.getScreenCTM();
+      const coords = shapePoints(element).map(({ x, y }) => ({
+        x: matrix.a * x + matrix.c * y + matrix.e - origin.left,
+        y: matrix.b * x + matrix.d * y + matrix.f - origin.top,
+      }));
+      if (coords.length < 3) return;
+      const xs = coords.map((point) => point.x);
+      const ys = coords.map((point) => point.y);
+      const boxArea =
+        (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+      if (boxArea >= MAX_PLAN_SHARE * width * height) return;
+      shapes.push({ id: element.id || null, label, coords });
+    });
+    return shapes;
+  } finally {
+    host.remove();
+  }
+};
+
+// Department name in a shape label, without a leading bay code
+export const labelName = (label) => label.replace(BAY_CODE, "").trim() || label;
+
+// Link each shape to a spreadsheet department by its label, its label
+// without the bay code, or its id: an exact match (ignoring case and
+// punctuation) first, else the closest name scoring at least
+// AUTO_LINK_SCORE. Unlinked shapes are named after their label.
+//   [{ ...shape, name, linked }]  // linked: the department name or null
+export const linkShapes = (shapes, departmentNames) =>
+  shapes.map((shape) => {
+    const candidates = [shape.label, labelName(shape.label), shape.id].filter(Boolean);
+    const exact = departmentNames.find((name) =>
+      candidates.some((candidate) => normalizeName(candidate) === normalizeName(name)),
+    );
+    let linked = exact ?? null;
+    if (!linked) {
+      let bestScore = AUTO_LINK_SCORE;
+      departmentNames.forEach((name) => {
+        const score = Math.max(...candidates.map((candidate) => nameSimilarity(candidate, name)));
+        if (score >= bestScore) {
+          linked = name;
+          bestScore = score;
+        }
+      });
+    }
+    return { ...shape, name: linked ?? labelName(shape.label), linked };
+  });